@@ -3,6 +3,7 @@ const path = require('path');
 const fs = require('fs');
 const YAML = require('yaml');
 const { spawn } = require('child_process');
+const { pathToFileURL } = require('url');
 
 let mainWindow;
 let automationProcess = null;
@@ -83,7 +84,13 @@ ipcMain.handle('save-config', async (event, config) => {
 ipcMain.handle('select-csv', async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
     properties: ['openFile'],
-    filters: [{ name: 'CSV Files', extensions: ['csv'] }]
+    filters: [
+      { name: 'Contacts', extensions: ['csv', 'xlsx', 'json', 'vcf'] },
+      { name: 'CSV Files', extensions: ['csv'] },
+      { name: 'Excel Files', extensions: ['xlsx'] },
+      { name: 'JSON Files', extensions: ['json'] },
+      { name: 'vCard Files', extensions: ['vcf'] }
+    ]
   });
 
   if (!result.canceled && result.filePaths.length > 0) {
@@ -92,12 +99,17 @@ ipcMain.handle('select-csv', async () => {
   return { success: false };
 });
 
-// Select image file
+// Select attachment file (image, video, audio or document)
 ipcMain.handle('select-image', async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
     properties: ['openFile'],
     filters: [
-      { name: 'Images', extensions: ['jpg', 'jpeg', 'png', 'gif', 'webp'] }
+      { name: 'All supported files', extensions: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'mp4', '3gp', 'mov', 'mp3', 'm4a', 'aac', 'ogg', 'opus', 'wav', 'amr', 'pdf', 'vcf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'txt', 'csv', 'zip'] },
+      { name: 'Images', extensions: ['jpg', 'jpeg', 'png', 'gif', 'webp'] },
+      { name: 'Videos', extensions: ['mp4', '3gp', 'mov'] },
+      { name: 'Audio', extensions: ['mp3', 'm4a', 'aac', 'ogg', 'opus', 'wav', 'amr'] },
+      { name: 'Documents', extensions: ['pdf', 'vcf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'txt', 'csv', 'zip'] },
+      { name: 'All Files', extensions: ['*'] }
     ]
   });
 
@@ -138,6 +150,11 @@ ipcMain.handle('select-template', async () => {
 // Load CSV preview
 ipcMain.handle('load-csv-preview', async (event, filePath) => {
   try {
+    // Excel workbooks are binary; there is nothing readable to show
+    if (path.extname(filePath).toLowerCase() === '.xlsx') {
+      return { success: true, preview: `Excel workbook: ${path.basename(filePath)} (first worksheet is used)` };
+    }
+
     const content = await fs.promises.readFile(filePath, 'utf-8');
     const lines = content.split('\n').slice(0, 6); // Header + 5 rows
     return { success: true, preview: lines.join('\n') };
@@ -158,12 +175,17 @@ ipcMain.handle('load-template-content', async (event, filePath) => {
 
 // Run automation (dry run)
 ipcMain.handle('run-dry-run', async () => {
-  return runAutomation(true);
+  return runAutomation(['send', '--dry-run']);
 });
 
 // Run automation (real)
 ipcMain.handle('run-automation', async () => {
-  return runAutomation(false);
+  return runAutomation(['send']);
+});
+
+// Revisit chats and record delivered/read status of sent messages
+ipcMain.handle('check-receipts', async () => {
+  return runAutomation(['receipts']);
 });
 
 // Stop automation
@@ -176,8 +198,8 @@ ipcMain.handle('stop-automation', async () => {
   return { success: false, error: 'No process running' };
 });
 
-// Helper function to run automation
-async function runAutomation(dryRun) {
+// Helper function to run a CLI command (send, receipts...)
+async function runAutomation(args) {
   return new Promise(async (resolve) => {
     if (automationProcess) {
       resolve({ success: false, error: 'Automation already running' });
@@ -186,13 +208,12 @@ async function runAutomation(dryRun) {
 
     const basePath = getBasePath();
     const scriptPath = path.join(basePath, 'src/index.js');
-    const args = dryRun ? ['--dry-run'] : [];
 
     console.log('[AUTOMATION]:', 'Starting automation process');
     console.log('[AUTOMATION]:', 'Base path:', basePath);
     console.log('[AUTOMATION]:', 'Script path:', scriptPath);
     console.log('[AUTOMATION]:', 'Executable:', process.execPath);
-    console.log('[AUTOMATION]:', 'Dry run:', dryRun);
+    console.log('[AUTOMATION]:', 'Command:', args.join(' '));
 
     // Log to UI immediately
     mainWindow.webContents.send('automation-log', `Starting automation process...\n`);
@@ -321,13 +342,22 @@ async function runAutomation(dryRun) {
     console.log('[AUTOMATION]:', 'Node args:', nodeArgs);
     mainWindow.webContents.send('automation-log', `Arguments: ${nodeArgs.join(' ')}\n`);
 
-    // Spawn the automation process
+    // Spawn the automation process (with an IPC channel for the login QR code)
     automationProcess = spawn(nodeExecutable, nodeArgs, {
       cwd: basePath,
-      env
+      env,
+      stdio: ['pipe', 'pipe', 'pipe', 'ipc']
     });
 
     let output = '';
+    let loginStatus = null;
+
+    automationProcess.on('message', (message) => {
+      if (message && message.type === 'login') {
+        loginStatus = message.status;
+        mainWindow.webContents.send('login-status', { status: message.status, qr: message.qr });
+      }
+    });
 
     automationProcess.stdout.on('data', (data) => {
       const message = data.toString();
@@ -353,6 +383,11 @@ async function runAutomation(dryRun) {
     automationProcess.on('close', (code) => {
       console.log('[AUTOMATION]:', `Process exited with code ${code}`);
 
+      // A QR code still waiting for a scan dies with the browser
+      if (loginStatus === 'needs_scan' || loginStatus === 'relogin_required') {
+        mainWindow.webContents.send('login-status', { status: 'expired', qr: null });
+      }
+
       // If process exits with code 0 but no output, something went wrong
       if (code === 0 && output.trim().length === 0) {
         const errorMsg = 'Process exited successfully but produced no output. Check if Node.js modules are correctly bundled.';
@@ -378,7 +413,7 @@ async function runAutomation(dryRun) {
 // Get stats
 ipcMain.handle('get-stats', async () => {
   try {
-    const stateFilePath = path.join(getBasePath(), 'sent_messages.json');
+    const stateFilePath = await getStateFilePath();
 
     try {
       await fs.promises.access(stateFilePath);
@@ -414,7 +449,7 @@ ipcMain.handle('get-stats', async () => {
 // Clear state
 ipcMain.handle('clear-state', async () => {
   try {
-    const stateFilePath = path.join(getBasePath(), 'sent_messages.json');
+    const stateFilePath = await getStateFilePath();
     await fs.promises.unlink(stateFilePath);
     return { success: true };
   } catch (error) {
@@ -428,7 +463,7 @@ ipcMain.handle('clear-state', async () => {
 // Get sent messages
 ipcMain.handle('get-sent-messages', async () => {
   try {
-    const stateFilePath = path.join(getBasePath(), 'sent_messages.json');
+    const stateFilePath = await getStateFilePath();
 
     try {
       await fs.promises.access(stateFilePath);
@@ -455,7 +490,7 @@ ipcMain.handle('get-sent-messages', async () => {
 // Delete sent message
 ipcMain.handle('delete-sent-message', async (event, messageHash) => {
   try {
-    const stateFilePath = path.join(getBasePath(), 'sent_messages.json');
+    const stateFilePath = await getStateFilePath();
     const stateContent = await fs.promises.readFile(stateFilePath, 'utf-8');
     const state = JSON.parse(stateContent);
 
@@ -481,7 +516,7 @@ ipcMain.handle('delete-sent-message', async (event, messageHash) => {
 // Delete multiple sent messages
 ipcMain.handle('delete-sent-messages', async (event, messageHashes) => {
   try {
-    const stateFilePath = path.join(getBasePath(), 'sent_messages.json');
+    const stateFilePath = await getStateFilePath();
     const stateContent = await fs.promises.readFile(stateFilePath, 'utf-8');
     const state = JSON.parse(stateContent);
 
@@ -517,7 +552,7 @@ ipcMain.handle('export-sent-messages', async () => {
     });
 
     if (!result.canceled && result.filePath) {
-      const stateFilePath = path.join(getBasePath(), 'sent_messages.json');
+      const stateFilePath = await getStateFilePath();
       const stateContent = await fs.promises.readFile(stateFilePath, 'utf-8');
       await fs.promises.writeFile(result.filePath, stateContent, 'utf-8');
       return { success: true, path: result.filePath };
@@ -528,3 +563,122 @@ ipcMain.handle('export-sent-messages', async () => {
     return { success: false, error: error.message };
   }
 });
+
+// Open each messaged chat and store the contacts' replies
+ipcMain.handle('collect-replies', async () => {
+  return runAutomation(['replies']);
+});
+
+// Export replies as CSV
+ipcMain.handle('export-replies', async () => {
+  try {
+    const result = await dialog.showSaveDialog(mainWindow, {
+      defaultPath: `whatsapp-replies-${Date.now()}.csv`,
+      filters: [{ name: 'CSV Files', extensions: ['csv'] }]
+    });
+
+    if (result.canceled || !result.filePath) {
+      return { success: false, error: 'Export canceled' };
+    }
+
+    const basePath = getBasePath();
+    const stateFilePath = await getStateFilePath();
+    const stateContent = await fs.promises.readFile(stateFilePath, 'utf-8');
+    const state = JSON.parse(stateContent);
+
+    // Same CSV layout as `replies --output`
+    const { listReplies, exportReplies } = await import(pathToFileURL(path.join(basePath, 'src', 'replies.js')).href);
+    const rows = listReplies(state.sentMessages || {});
+    await exportReplies(result.filePath, rows);
+    return { success: true, path: result.filePath, count: rows.length };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Read config.yaml, so paths resolve the same way the CLI resolves them
+async function readConfig() {
+  const configFile = await fs.promises.readFile(path.join(getBasePath(), 'config.yaml'), 'utf-8');
+  return YAML.parse(configFile) || {};
+}
+
+// The state file the CLI writes (config state_file); the default one if there is no config yet
+async function getStateFilePath() {
+  let config = {};
+  try {
+    config = await readConfig();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  return path.resolve(getBasePath(), config.state_file || './sent_messages.json');
+}
+
+// Open the do-not-contact list with the same rules the CLI uses
+async function openSuppressionList() {
+  const basePath = getBasePath();
+  const config = await readConfig();
+
+  // The core modules are ES modules, so they can only be loaded with import()
+  const modulePath = path.join(basePath, 'src', 'suppressionList.js');
+  const { SuppressionList, getSuppressionFilePath } = await import(pathToFileURL(modulePath).href);
+
+  const list = new SuppressionList(path.resolve(basePath, getSuppressionFilePath(config)), console, {
+    defaultCountry: config.default_country
+  });
+  await list.load();
+  return list;
+}
+
+// Get suppression list
+ipcMain.handle('get-suppression-list', async () => {
+  try {
+    const list = await openSuppressionList();
+    return { success: true, entries: list.list() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Add numbers to the suppression list
+ipcMain.handle('suppress-numbers', async (event, phones, reason) => {
+  try {
+    const list = await openSuppressionList();
+    const result = await list.add(phones, { reason: reason || undefined, source: 'electron' });
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Remove numbers from the suppression list
+ipcMain.handle('unsuppress-numbers', async (event, phones) => {
+  try {
+    const list = await openSuppressionList();
+    const result = await list.remove(phones);
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Import numbers into the suppression list
+ipcMain.handle('import-suppression-list', async (event, reason) => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      properties: ['openFile'],
+      filters: [
+        { name: 'Contacts or number lists', extensions: ['csv', 'xlsx', 'json', 'vcf', 'txt'] }
+      ]
+    });
+
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: false, error: 'Import canceled' };
+    }
+
+    const list = await openSuppressionList();
+    const imported = await list.importFile(result.filePaths[0], { reason: reason || undefined });
+    return { success: true, path: result.filePaths[0], ...imported };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
@@ -41,8 +41,33 @@ const messageCount = document.getElementById('messageCount');
 const refreshSentMessages = document.getElementById('refreshSentMessages');
 const deleteSelected = document.getElementById('deleteSelected');
 const exportMessages = document.getElementById('exportMessages');
+const checkReceipts = document.getElementById('checkReceipts');
+
+const tabs = document.querySelectorAll('.section-tabs .tab');
+const searchReplies = document.getElementById('searchReplies');
+const repliesList = document.getElementById('repliesList');
+const replyCount = document.getElementById('replyCount');
+const collectReplies = document.getElementById('collectReplies');
+const exportReplies = document.getElementById('exportReplies');
+
+const loginStatus = document.getElementById('loginStatus');
+const loginHint = document.getElementById('loginHint');
+const loginQr = document.getElementById('loginQr');
+
+const suppressPhones = document.getElementById('suppressPhones');
+const suppressReason = document.getElementById('suppressReason');
+const addSuppression = document.getElementById('addSuppression');
+const removeSuppression = document.getElementById('removeSuppression');
+const importSuppression = document.getElementById('importSuppression');
+const refreshSuppression = document.getElementById('refreshSuppression');
+const suppressionList = document.getElementById('suppressionList');
+const suppressionCount = document.getElementById('suppressionCount');
 
 // State
+let loadedConfig = {};
+// Per-language templates/captions ({ he: ..., en: ... }) are shown read-only and kept as loaded
+let localizedTemplate = null;
+let localizedCaption = null;
 let allMessages = {};
 let selectedMessages = new Set();
 
@@ -50,6 +75,7 @@ let selectedMessages = new Set();
 loadConfigFromFile();
 updateStats();
 loadSentMessages();
+loadSuppressionList();
 
 // Event Listeners
 
@@ -64,6 +90,7 @@ selectCsv.addEventListener('click', async () => {
 selectTemplate.addEventListener('click', async () => {
   const result = await ipcRenderer.invoke('select-template');
   if (result.success) {
+    localizedTemplate = null;
     templatePath.value = result.path;
     loadTemplatePreview(result.path);
   }
@@ -79,6 +106,7 @@ selectImage.addEventListener('click', async () => {
 clearImage.addEventListener('click', () => {
   imagePath.value = '';
   imageCaption.value = '';
+  setLocalizedCaption(null);
 });
 
 selectChrome.addEventListener('click', async () => {
@@ -205,16 +233,143 @@ exportMessages.addEventListener('click', async () => {
   }
 });
 
+checkReceipts.addEventListener('click', async () => {
+  log('📬 Checking delivery and read receipts...', 'info');
+  setRunningState(true);
+
+  const result = await ipcRenderer.invoke('check-receipts');
+  if (!result.success) {
+    log(`❌ Failed to start: ${result.error}`, 'error');
+    setRunningState(false);
+  }
+});
+
+tabs.forEach(tab => {
+  tab.addEventListener('click', () => {
+    tabs.forEach(other => {
+      other.classList.toggle('active', other === tab);
+      document.getElementById(other.dataset.panel).hidden = other !== tab;
+    });
+  });
+});
+
+searchReplies.addEventListener('input', (e) => {
+  renderReplies(allMessages, e.target.value);
+});
+
+collectReplies.addEventListener('click', async () => {
+  log('💬 Collecting replies...', 'info');
+  setRunningState(true);
+
+  const result = await ipcRenderer.invoke('collect-replies');
+  if (!result.success) {
+    log(`❌ Failed to start: ${result.error}`, 'error');
+    setRunningState(false);
+  }
+});
+
+exportReplies.addEventListener('click', async () => {
+  const result = await ipcRenderer.invoke('export-replies');
+
+  if (result.success) {
+    log(`💾 ${result.count} replies exported to ${result.path}`, 'success');
+  } else {
+    log(`❌ Export failed: ${result.error}`, 'error');
+  }
+});
+
+addSuppression.addEventListener('click', async () => {
+  const phones = parsePhoneList(suppressPhones.value);
+  if (phones.length === 0) return;
+
+  const result = await ipcRenderer.invoke('suppress-numbers', phones, suppressReason.value.trim());
+  if (result.success) {
+    log(`🚫 Added ${result.added.length} number(s) to the do-not-contact list`, 'success');
+    if (result.invalid.length > 0) {
+      log(`⚠️ Invalid phone numbers: ${result.invalid.join(', ')}`, 'warning');
+    }
+    suppressPhones.value = '';
+    await loadSuppressionList();
+  } else {
+    log(`❌ Failed to add numbers: ${result.error}`, 'error');
+  }
+});
+
+removeSuppression.addEventListener('click', async () => {
+  const phones = parsePhoneList(suppressPhones.value);
+  if (phones.length === 0) return;
+
+  const result = await ipcRenderer.invoke('unsuppress-numbers', phones);
+  if (result.success) {
+    log(`✅ Removed ${result.removed.length} number(s) from the do-not-contact list`, 'success');
+    suppressPhones.value = '';
+    await loadSuppressionList();
+  } else {
+    log(`❌ Failed to remove numbers: ${result.error}`, 'error');
+  }
+});
+
+importSuppression.addEventListener('click', async () => {
+  const result = await ipcRenderer.invoke('import-suppression-list', suppressReason.value.trim());
+  if (result.success) {
+    log(`📥 Imported ${result.added.length} number(s) from ${result.path} (${result.existing.length} already listed, ${result.invalid.length} invalid)`, 'success');
+    await loadSuppressionList();
+  } else if (result.error !== 'Import canceled') {
+    log(`❌ Import failed: ${result.error}`, 'error');
+  }
+});
+
+refreshSuppression.addEventListener('click', () => {
+  loadSuppressionList();
+});
+
 // IPC Listeners
 
 ipcRenderer.on('automation-log', (event, message) => {
   log(message, 'log');
 });
 
+// Login state and QR code from the automation process
+const LOGIN_STATES = {
+  logged_in: { label: '✅ Logged in', hint: 'The saved session is linked to your phone.' },
+  needs_scan: { label: '📱 Needs scan', hint: 'Open WhatsApp on your phone > Settings > Linked devices > Link a device, and scan this code.' },
+  expired: { label: '⌛ Expired', hint: 'The code was not scanned in time. Run the automation again for a new one.' },
+  relogin_required: { label: '⚠️ Re-login required', hint: 'WhatsApp logged out during the run (device unlinked or session expired). The run is paused until you scan the new code.' }
+};
+
+ipcRenderer.on('login-status', (event, { status, qr }) => {
+  const state = LOGIN_STATES[status];
+  if (!state) return;
+
+  loginStatus.textContent = state.label;
+  loginStatus.className = `login-status login-${status}`;
+  loginHint.textContent = state.hint;
+
+  if (status === 'needs_scan' && qr) {
+    loginQr.src = qr;
+    loginQr.hidden = false;
+  } else {
+    loginQr.hidden = true;
+    loginQr.removeAttribute('src');
+  }
+
+  if (status === 'needs_scan') {
+    log('📱 Scan the QR code in the WhatsApp Login panel', 'warning');
+  } else if (status === 'expired') {
+    log('⌛ The login QR code expired before it was scanned', 'error');
+  } else if (status === 'relogin_required') {
+    log('⚠️ WhatsApp logged out - run paused, re-login required', 'warning');
+  }
+});
+
 ipcRenderer.on('automation-complete', (event, data) => {
   setRunningState(false);
   if (data.code === 0) {
     log('✅ Automation completed successfully', 'success');
+  } else if (data.code === 3) {
+    log('⚠️ Automation completed, but some contacts failed', 'warning');
+  } else if (data.code === 2) {
+    log('❌ Configuration error - check the settings and input files', 'error');
   } else {
     log(`❌ Automation failed with code ${data.code}`, 'error');
   }
@@ -229,11 +384,16 @@ async function loadConfigFromFile() {
 
   if (result.success) {
     const config = result.config;
+    loadedConfig = config || {};
 
     csvPath.value = config.contacts_csv || '';
-    templatePath.value = config.message_template || '';
+    localizedTemplate = isLocaleMap(config.message_template) ? config.message_template : null;
+    templatePath.value = localizedTemplate
+      ? describeLocaleMap(localizedTemplate)
+      : config.message_template || '';
     imagePath.value = config.image_path || '';
-    imageCaption.value = config.image_caption || '';
+    setLocalizedCaption(isLocaleMap(config.image_caption) ? config.image_caption : null);
+    if (!localizedCaption) imageCaption.value = config.image_caption || '';
     chromePath.value = config.chrome_executable_path || '';
     rateLimit.value = config.rate_limit || 1;
     logLevel.value = config.logging?.level || 'info';
@@ -242,7 +402,8 @@ async function loadConfigFromFile() {
 
     // Load previews
     if (csvPath.value) loadCsvPreview(csvPath.value);
-    if (templatePath.value) loadTemplatePreview(templatePath.value);
+    if (localizedTemplate) loadLocalizedTemplatePreview(localizedTemplate);
+    else if (templatePath.value) loadTemplatePreview(templatePath.value);
   } else {
     log(`❌ Failed to load config: ${result.error}`, 'error');
   }
@@ -250,11 +411,13 @@ async function loadConfigFromFile() {
 
 function getConfigFromUI() {
   // Load current config structure to preserve all settings
+  // (sections without UI controls, e.g. driver, are kept as loaded)
   return {
+    ...loadedConfig,
     contacts_csv: csvPath.value,
-    message_template: templatePath.value,
+    message_template: localizedTemplate || templatePath.value,
     image_path: imagePath.value || undefined,
-    image_caption: imageCaption.value || undefined,
+    image_caption: localizedCaption || imageCaption.value || undefined,
     chrome_executable_path: chromePath.value || undefined,
     rate_limit: parseFloat(rateLimit.value),
     logging: {
@@ -308,12 +471,40 @@ async function loadTemplatePreview(filePath) {
   const result = await ipcRenderer.invoke('load-template-content', filePath);
 
   if (result.success) {
-    templatePreview.innerHTML = `<pre>${escapeHtml(result.content)}</pre>`;
+    templatePreview.innerHTML = `<pre dir="auto">${escapeHtml(result.content)}</pre>`;
   } else {
     templatePreview.innerHTML = `<div class="error">Error: ${escapeHtml(result.error)}</div>`;
   }
 }
 
+async function loadLocalizedTemplatePreview(map) {
+  const sections = await Promise.all(Object.entries(map).map(async ([locale, filePath]) => {
+    const result = await ipcRenderer.invoke('load-template-content', filePath);
+    const body = result.success
+      ? `<pre dir="auto">${escapeHtml(result.content)}</pre>`
+      : `<div class="error">Error: ${escapeHtml(result.error)}</div>`;
+    return `<div class="preview-locale">[${escapeHtml(locale)}] ${escapeHtml(filePath)}</div>${body}`;
+  }));
+
+  templatePreview.innerHTML = sections.join('');
+}
+
+function isLocaleMap(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describeLocaleMap(map) {
+  return Object.entries(map).map(([locale, value]) => `${locale}: ${value}`).join(', ');
+}
+
+function setLocalizedCaption(map) {
+  localizedCaption = map;
+  imageCaption.readOnly = Boolean(map);
+  if (map) {
+    imageCaption.value = Object.entries(map).map(([locale, text]) => `[${locale}]\n${text}`).join('\n\n');
+  }
+}
+
 async function updateStats() {
   const result = await ipcRenderer.invoke('get-stats');
 
@@ -331,6 +522,8 @@ function setRunningState(running) {
   runDryRun.disabled = running;
   runAutomation.disabled = running;
   stopAutomation.disabled = !running;
+  checkReceipts.disabled = running;
+  collectReplies.disabled = running;
   saveConfig.disabled = running;
 }
 
@@ -358,6 +551,7 @@ async function loadSentMessages() {
     allMessages = result.messages;
     renderMessages(allMessages);
     updateMessageCount(Object.keys(allMessages).length);
+    renderReplies(allMessages, searchReplies.value);
   } else {
     log(`❌ Failed to load sent messages: ${result.error}`, 'error');
   }
@@ -425,14 +619,80 @@ function createMessageElement(msg) {
         </div>
         <div class="message-actions">
           <div class="message-timestamp">${timestamp}</div>
+          ${createStatusBadge(msg)}
           <button class="btn-danger delete-single" data-hash="${msg.hash}">🗑️</button>
         </div>
       </div>
+      ${msg.campaign || msg.variant ? `<div class="message-contact-company">${escapeHtml([msg.campaign, msg.variant].filter(Boolean).join(' / '))}</div>` : ''}
       <div class="message-hash">Hash: ${msg.hash.substring(0, 16)}...</div>
     </div>
   `;
 }
 
+function renderReplies(messages, searchTerm = '') {
+  const term = searchTerm.trim().toLowerCase();
+
+  // One item per reply, newest first
+  const replies = Object.values(messages)
+    .flatMap(msg => (msg.replies || []).map(reply => ({ msg, reply })))
+    .filter(({ msg, reply }) => !term || [
+      msg.phone,
+      msg.contact && msg.contact.name,
+      msg.campaign,
+      reply.text,
+      reply.tag
+    ].filter(Boolean).join(' ').toLowerCase().includes(term))
+    .sort((a, b) => new Date(b.reply.collectedAt) - new Date(a.reply.collectedAt));
+
+  replyCount.textContent = replies.length;
+
+  if (replies.length === 0) {
+    repliesList.innerHTML = `<div class="no-messages">${term ? 'No matching replies' : 'No replies collected yet'}</div>`;
+    return;
+  }
+
+  repliesList.innerHTML = replies.map(({ msg, reply }) => {
+    const contact = msg.contact || {};
+    const sentTo = [msg.campaign, msg.variant, msg.step ? `step ${msg.step}` : null].filter(Boolean).join(' / ');
+
+    return `
+      <div class="message-item reply-item">
+        <div class="message-header">
+          <div class="message-contact">
+            <div class="message-contact-name">${escapeHtml(contact.name || 'Unknown')}</div>
+            <div class="message-contact-phone">${escapeHtml(msg.phone)}</div>
+          </div>
+          <div class="message-actions">
+            <div class="message-timestamp">${escapeHtml(reply.time || new Date(reply.collectedAt).toLocaleString())}</div>
+            ${reply.tag ? `<span class="reply-tag">${escapeHtml(reply.tag)}</span>` : ''}
+          </div>
+        </div>
+        <div class="reply-text" dir="auto">${escapeHtml(reply.text || '(media)')}</div>
+        ${sentTo ? `<div class="message-contact-company">Reply to ${escapeHtml(sentTo)}</div>` : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+const DELIVERY_BADGES = {
+  pending: '🕓 Pending',
+  sent: '✓ Sent',
+  delivered: '✓✓ Delivered',
+  read: '✓✓ Read'
+};
+
+function createStatusBadge(msg) {
+  if (!DELIVERY_BADGES[msg.deliveryStatus]) return '';
+
+  const details = [
+    msg.deliveredAt ? `Delivered: ${new Date(msg.deliveredAt).toLocaleString()}` : null,
+    msg.readAt ? `Read: ${new Date(msg.readAt).toLocaleString()}` : null,
+    msg.receiptsCheckedAt ? `Last checked: ${new Date(msg.receiptsCheckedAt).toLocaleString()}` : null
+  ].filter(Boolean).join('\n');
+
+  return `<span class="delivery-status delivery-${msg.deliveryStatus}" title="${escapeHtml(details)}">${DELIVERY_BADGES[msg.deliveryStatus]}</span>`;
+}
+
 function toggleMessageSelection(hash) {
   if (selectedMessages.has(hash)) {
     selectedMessages.delete(hash);
@@ -477,7 +737,8 @@ function filterMessages(searchTerm) {
       msg.phone,
       contact.name,
       contact.company,
-      contact.position
+      contact.position,
+      msg.deliveryStatus
     ].filter(Boolean).join(' ').toLowerCase();
 
     if (searchableText.includes(term)) {
@@ -488,3 +749,31 @@ function filterMessages(searchTerm) {
   renderMessages(filtered);
   updateMessageCount(Object.keys(filtered).length);
 }
+
+function parsePhoneList(text) {
+  return text.split(/[,;\n]/).map(phone => phone.trim()).filter(Boolean);
+}
+
+async function loadSuppressionList() {
+  const result = await ipcRenderer.invoke('get-suppression-list');
+
+  if (!result.success) {
+    log(`❌ Failed to load do-not-contact list: ${result.error}`, 'error');
+    return;
+  }
+
+  suppressionCount.textContent = result.entries.length;
+
+  if (result.entries.length === 0) {
+    suppressionList.innerHTML = '<div class="no-messages">No suppressed numbers</div>';
+    return;
+  }
+
+  suppressionList.innerHTML = result.entries.map(entry => `
+    <div class="suppression-item">
+      <span class="suppression-phone">${escapeHtml(entry.phone)}</span>
+      <span class="suppression-reason">${escapeHtml(entry.reason)} (${escapeHtml(entry.source)})</span>
+      <span class="message-timestamp">${new Date(entry.addedAt).toLocaleString()}</span>
+    </div>
+  `).join('');
+}
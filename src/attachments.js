@@ -0,0 +1,205 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { renderTemplate, validateTemplate } from './templateRenderer.js';
+import { getAvailableFields } from './csvParser.js';
+
+/**
+ * Contact columns that override image_path, checked in order
+ */
+export const ATTACHMENT_COLUMNS = ['image', 'document', 'attachment'];
+
+/**
+ * How a file is sent:
+ * - image, video: through the photos & videos picker, shown inline with a caption
+ * - audio: through the document picker, shown as a playable audio message (no caption)
+ * - document: through the document picker, shown with its file name and a caption
+ */
+export const ATTACHMENT_TYPES = ['image', 'video', 'audio', 'document'];
+
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.3gp': 'video/3gpp',
+  '.mov': 'video/quicktime',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.wav': 'audio/wav',
+  '.amr': 'audio/amr',
+  '.pdf': 'application/pdf',
+  '.vcf': 'text/vcard',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.zip': 'application/zip'
+};
+
+// WhatsApp's photos & videos picker only takes these video formats
+const MEDIA_VIDEO_TYPES = ['video/mp4', 'video/3gpp', 'video/quicktime'];
+
+/**
+ * MIME type of a file, from its extension
+ * @param {string} filePath - File path
+ * @returns {string} MIME type (application/octet-stream if unknown)
+ */
+export function getMimeType(filePath) {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Choose how a file is sent, from its MIME type. Images and videos in
+ * formats WhatsApp doesn't play inline (e.g. .mkv, .svg) go as documents.
+ * @param {string} filePath - File path
+ * @returns {string} One of ATTACHMENT_TYPES
+ */
+export function getAttachmentType(filePath) {
+  const mimeType = getMimeType(filePath);
+
+  if (mimeType.startsWith('image/')) return 'image';
+  if (MEDIA_VIDEO_TYPES.includes(mimeType)) return 'video';
+  if (mimeType.startsWith('audio/')) return 'audio';
+  return 'document';
+}
+
+/**
+ * Find the contact's attachment column value (the first non-blank of the
+ * configured columns, matched case-insensitively)
+ * @param {Object} contact - Contact object
+ * @param {Array<string>} columns - Column names (default ATTACHMENT_COLUMNS)
+ * @returns {Object|null} { column, value } or null if none is filled in
+ */
+export function getAttachmentColumn(contact, columns = ATTACHMENT_COLUMNS) {
+  for (const column of columns) {
+    const key = Object.keys(contact).find(name => name.toLowerCase() === column.toLowerCase());
+    if (key && contact[key] !== null && contact[key] !== undefined && String(contact[key]).trim() !== '') {
+      return { column: key, value: String(contact[key]).trim() };
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve the file to send to a contact: its attachment column if filled in,
+ * otherwise image_path.
+ *
+ * The type comes from the file's MIME type; files from a "document" column,
+ * and all files with attachments.send_as_document, are sent as documents.
+ *
+ * @param {Object} contact - Contact object
+ * @param {Object} config - Application configuration
+ * @returns {Object|null} { path, type } or null if nothing is attached
+ */
+export function resolveAttachment(contact, config) {
+  const options = config.attachments || {};
+  const override = getAttachmentColumn(contact, options.columns);
+  const source = override ? override.value : config.image_path;
+
+  if (!source) {
+    return null;
+  }
+
+  return resolveFile(source, contact, config, Boolean(override && override.column.toLowerCase() === 'document'));
+}
+
+/**
+ * Resolve a file path for a contact. Placeholders in the path
+ * ("tickets/{{id}}.pdf") are filled from the contact, and relative paths are
+ * resolved against attachments.dir when set.
+ * @param {string} source - Path, possibly with placeholders
+ * @param {Object} contact - Contact object
+ * @param {Object} config - Application configuration
+ * @param {boolean} asDocument - Send as a document whatever the file type
+ * @returns {Object} { path, type }
+ */
+export function resolveFile(source, contact, config, asDocument = false) {
+  const options = config.attachments || {};
+
+  let filePath = renderTemplate(source, contact).trim();
+  if (options.dir && !path.isAbsolute(filePath)) {
+    filePath = path.join(options.dir, filePath);
+  }
+
+  const type = asDocument || options.send_as_document ? 'document' : getAttachmentType(filePath);
+  return { path: filePath, type };
+}
+
+/**
+ * Check the attachments section and the path templates of image_path (or
+ * the sequence steps' files) and the contacts' attachment columns
+ * @param {Object} config - Application configuration
+ * @param {Array<Object>} contacts - Contacts
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validateAttachmentsConfig(config, contacts = []) {
+  const options = config.attachments || {};
+  const problems = [];
+
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    return ['attachments must be a mapping with columns, dir and send_as_document'];
+  }
+  if (options.columns !== undefined
+    && (!Array.isArray(options.columns) || options.columns.some(column => typeof column !== 'string'))) {
+    problems.push('attachments.columns must be a list of column names');
+  }
+  if (problems.length > 0) {
+    return problems;
+  }
+
+  const sources = new Set();
+  if (config.sequence) {
+    config.sequence.steps
+      .filter(step => step && step.attachment)
+      .forEach(step => [].concat(step.attachment).forEach(source => sources.add(source)));
+  } else if (config.image_path) {
+    sources.add(config.image_path);
+  }
+  contacts.forEach(contact => {
+    const override = getAttachmentColumn(contact, options.columns);
+    if (override) sources.add(override.value);
+  });
+
+  const availableFields = getAvailableFields(contacts);
+  sources.forEach(source => {
+    const { errors, missingFields } = validateTemplate(source, availableFields);
+    if (errors.length > 0) {
+      problems.push(`Attachment path "${source}": ${errors.join('; ')}`);
+    } else if (missingFields.length > 0) {
+      problems.push(`Attachment path "${source}" uses fields that are not in the contacts file: ${missingFields.join(', ')}`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Check that every contact's attachments exist
+ * @param {Map<string, Object|Array<Object>|null>} attachments - Phone -> { path, type } (or a list of them)
+ * @returns {Promise<Array<Object>>} { phone, path } for each missing file
+ */
+export async function findMissingAttachments(attachments) {
+  const exists = new Map();
+  const entries = Array.from(attachments.entries())
+    .flatMap(([phone, value]) => [].concat(value || []).map(attachment => ({ phone, path: attachment.path })));
+
+  for (const filePath of new Set(entries.map(entry => entry.path))) {
+    try {
+      const stat = await fs.stat(filePath);
+      exists.set(filePath, stat.isFile());
+    } catch {
+      exists.set(filePath, false);
+    }
+  }
+
+  return entries.filter(entry => !exists.get(entry.path));
+}
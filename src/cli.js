@@ -0,0 +1,161 @@
+import { parseArgs } from 'util';
+import { ConfigError } from './errors.js';
+
+/**
+ * Available subcommands (the first one is the default)
+ */
+export const COMMANDS = {
+  send: 'Send messages to all pending contacts (default)',
+  validate: 'Check config, contacts and template without sending',
+  preview: 'Render the full message for every contact (--output to save as HTML/CSV)',
+  status: 'Show sent-message statistics',
+  history: 'List sent messages from the state file',
+  cleanup: 'Remove state entries older than --days (default 30)',
+  report: 'Sent, failed, delivered and replied counts per campaign and variant',
+  receipts: 'Revisit chats of sent messages and record delivered/read status',
+  replies: 'Collect contacts\' replies to sent messages (--output to save as CSV; classify tags them)',
+  'check-numbers': 'Check which contacts are on WhatsApp and write a CSV with whatsapp_status',
+  classify: 'Tag collected replies with reply_rules, suppress opt-outs and write the attendee CSV',
+  suppress: 'Manage the do-not-contact list: suppress list|add|remove|import'
+};
+
+/**
+ * Process exit codes, so scripts and cron jobs can react to the outcome
+ */
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  CONFIG_ERROR: 2,
+  PARTIAL_FAILURE: 3
+};
+
+const OPTIONS = {
+  config: { type: 'string', short: 'c' },
+  csv: { type: 'string' },
+  template: { type: 'string', short: 't' },
+  image: { type: 'string', short: 'i' },
+  campaign: { type: 'string' },
+  limit: { type: 'string', short: 'n' },
+  only: { type: 'string', multiple: true },
+  'dry-run': { type: 'boolean' },
+  strict: { type: 'boolean' },
+  days: { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  reason: { type: 'string' },
+  recheck: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments without the node executable and script
+ * @returns {Object} Parsed command and options
+ */
+export function parseCli(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new ConfigError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const command = positionals[0] || 'send';
+
+  if (!(command in COMMANDS)) {
+    throw new ConfigError(`Unknown command "${command}". Run with --help for usage.`);
+  }
+
+  return {
+    command,
+    args: positionals.slice(1),
+    options: {
+      config: values.config || './config.yaml',
+      csv: values.csv,
+      template: values.template,
+      image: values.image,
+      campaign: values.campaign,
+      limit: parsePositiveInt(values.limit, '--limit'),
+      // --only accepts repeated flags and comma-separated lists
+      only: (values.only || []).flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean),
+      dryRun: Boolean(values['dry-run']),
+      strict: Boolean(values.strict),
+      days: parsePositiveInt(values.days, '--days'),
+      output: values.output,
+      reason: values.reason,
+      recheck: Boolean(values.recheck),
+      help: Boolean(values.help)
+    }
+  };
+}
+
+/**
+ * Parse a positive integer flag value
+ * @param {string|undefined} value - Raw flag value
+ * @param {string} flag - Flag name for error messages
+ * @returns {number|null} Parsed number or null if not given
+ */
+function parsePositiveInt(value, flag) {
+  if (value === undefined) {
+    return null;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new ConfigError(`${flag} must be a positive integer, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Build the --help text
+ * @returns {string} Usage text
+ */
+export function getUsage() {
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+  const commands = Object.entries(COMMANDS)
+    .map(([name, description]) => `  ${name.padEnd(width)} ${description}`)
+    .join('\n');
+
+  return `Usage: node src/index.js [command] [arguments] [options]
+
+Commands:
+${commands}
+
+Options:
+  -c, --config <path>    Config file (default: ./config.yaml)
+      --csv <path>       Contacts file, overrides contacts_csv
+  -t, --template <path>  Message template, overrides message_template
+  -i, --image <path>     File to send (image, video, audio, document), overrides image_path
+      --campaign <name>  Campaign name recorded with each message, overrides
+                         campaign; with report/receipts/replies/classify: only
+                         this campaign
+  -n, --limit <n>        send: at most n contacts (already-sent ones don't count);
+                         validate/preview/check-numbers: first n contacts;
+                         history: last n entries; receipts/replies: first n chats
+      --only <phones>    Only these phone numbers (repeat or comma-separate)
+      --dry-run          With send: log what would be sent without sending
+      --strict           Abort if the template, caption or any contact row would
+                         produce a broken message (template_validation.strict)
+      --days <n>         With cleanup: keep entries newer than n days
+  -o, --output <path>    With preview: also write the messages to .html or .csv;
+                         with replies: write all collected replies to .csv;
+                         with classify: attendee .csv, overrides attendees.output;
+                         with check-numbers: checked contacts .csv (default:
+                         <contacts file>.checked.csv)
+      --reason <text>    With suppress add/import: why the numbers are suppressed
+      --recheck          With check-numbers: check numbers checked before again
+  -h, --help             Show this help
+
+Suppression list:
+  suppress list                  Show suppressed numbers
+  suppress add <phone...>        Never message these numbers
+  suppress remove <phone...>     Allow messaging these numbers again
+  suppress import <file>         Add every number from a contacts file or .txt list
+
+Exit codes:
+  ${EXIT_CODES.SUCCESS}  Success
+  ${EXIT_CODES.FAILURE}  Fatal error, or every send failed
+  ${EXIT_CODES.CONFIG_ERROR}  Invalid config, arguments or input files
+  ${EXIT_CODES.PARTIAL_FAILURE}  Some contacts failed (or were invalid)`;
+}
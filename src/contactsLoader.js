@@ -0,0 +1,436 @@
+import ExcelJS from 'exceljs';
+import fs from 'fs/promises';
+import path from 'path';
+import { parseContactsCSV } from './csvParser.js';
+import { ConfigError } from './errors.js';
+
+/**
+ * Supported contact sources. "auto" picks one from the file extension and content.
+ */
+export const CONTACT_FORMATS = ['auto', 'csv', 'google_csv', 'xlsx', 'json', 'vcard'];
+
+const EXTENSION_FORMATS = {
+  '.xlsx': 'xlsx',
+  '.xlsm': 'xlsx',
+  '.json': 'json',
+  '.vcf': 'vcard',
+  '.vcard': 'vcard'
+};
+
+/**
+ * Load contacts from any supported source into plain contact objects,
+ * ready for validateContacts and getAvailableFields
+ * @param {string} filePath - Path to contacts file
+ * @param {Object} options - The "contacts" config section
+ * @param {string} options.format - One of CONTACT_FORMATS (default auto)
+ * @param {string} options.sheet - Excel worksheet name (default first sheet)
+ * @param {Object} options.columns - Field -> source column mapping, e.g. { phone: 'Mobile' }
+ * @param {boolean} options.cast - Convert numeric cells to numbers (default true)
+ * @returns {Promise<Object>} { contacts, format, firstRow } where firstRow is the
+ *   row/entry number of the first contact, for validation reports
+ */
+export async function loadContacts(filePath, options = {}) {
+  const format = !options.format || options.format === 'auto'
+    ? await detectFormat(filePath)
+    : options.format;
+  const columns = options.columns || {};
+  const cast = options.cast !== false;
+
+  let contacts;
+  let firstRow = 2;
+
+  switch (format) {
+    case 'csv':
+    case 'google_csv': {
+      const rows = await parseContactsCSV(filePath, {
+        delimiter: options.delimiter,
+        encoding: options.encoding,
+        bom: options.bom,
+        cast,
+        // A mapped phone column must keep its leading + or 0
+        textColumns: columns.phone ? [columns.phone] : []
+      });
+      contacts = mapGoogleContacts(rows);
+      break;
+    }
+
+    case 'xlsx': {
+      const rows = await parseContactsXLSX(filePath, options.sheet, cast);
+      contacts = mapGoogleContacts(rows);
+      break;
+    }
+
+    case 'json':
+      contacts = await parseContactsJSON(filePath);
+      firstRow = 1;
+      break;
+
+    case 'vcard':
+      contacts = await parseContactsVCard(filePath);
+      firstRow = 1;
+      break;
+
+    default:
+      throw new Error(`Unknown contacts format "${format}". Expected one of: ${CONTACT_FORMATS.join(', ')}`);
+  }
+
+  return { contacts: applyColumnMapping(contacts, columns), format, firstRow };
+}
+
+/**
+ * Rename source columns to template fields, e.g. { phone: 'Mobile', name: 'First Name' }
+ * @param {Array<Object>} contacts - Loaded contacts
+ * @param {Object} columns - Field -> source column mapping
+ * @returns {Array<Object>} Contacts with mapped fields
+ */
+export function applyColumnMapping(contacts, columns = {}) {
+  const mappings = Object.entries(columns);
+  if (mappings.length === 0 || contacts.length === 0) {
+    return contacts;
+  }
+
+  const available = new Set(contacts.flatMap(contact => Object.keys(contact)));
+  const missing = mappings.filter(([, column]) => !available.has(column));
+  if (missing.length > 0) {
+    throw new ConfigError(
+      `contacts.columns refers to missing columns: ${missing.map(([field, column]) => `${field}: "${column}"`).join(', ')}. ` +
+      `Available columns: ${Array.from(available).join(', ')}`
+    );
+  }
+
+  return contacts.map(contact => {
+    const mapped = { ...contact };
+    mappings.forEach(([field, column]) => {
+      if (field !== column) {
+        delete mapped[column];
+      }
+    });
+    mappings.forEach(([field, column]) => {
+      mapped[field] = contact[column];
+    });
+    return mapped;
+  });
+}
+
+/**
+ * Detect the contacts format from extension, falling back to content sniffing
+ * @param {string} filePath - Path to contacts file
+ * @returns {Promise<string>} Detected format
+ */
+export async function detectFormat(filePath) {
+  const byExtension = EXTENSION_FORMATS[path.extname(filePath).toLowerCase()];
+  if (byExtension) {
+    return byExtension;
+  }
+
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(4096), 0, 4096, 0);
+    const sample = buffer.subarray(0, bytesRead);
+
+    // XLSX is a zip archive
+    if (sample[0] === 0x50 && sample[1] === 0x4b) {
+      return 'xlsx';
+    }
+
+    const text = sample.toString('utf-8').replace(/^\uFEFF/, '').trimStart();
+    if (/^BEGIN:VCARD/i.test(text)) {
+      return 'vcard';
+    }
+    if (text.startsWith('[') || text.startsWith('{')) {
+      return 'json';
+    }
+
+    const header = text.split(/\r?\n/)[0];
+    return isGoogleContactsHeader(header.split(/[,;\t]/)) ? 'google_csv' : 'csv';
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Read the first (or named) worksheet of an Excel file, using row 1 as headers
+ * @param {string} filePath - Path to .xlsx file
+ * @param {string} sheetName - Optional worksheet name
+ * @param {boolean} cast - Keep numeric cells as numbers (false: as displayed text)
+ * @returns {Promise<Array<Object>>} Rows keyed by header
+ */
+export async function parseContactsXLSX(filePath, sheetName = null, cast = true) {
+  const workbook = new ExcelJS.Workbook();
+
+  try {
+    await workbook.xlsx.readFile(filePath);
+  } catch (error) {
+    throw new Error(`Failed to parse Excel file: ${error.message}`);
+  }
+
+  const sheet = sheetName ? workbook.getWorksheet(sheetName) : workbook.worksheets[0];
+  if (!sheet) {
+    throw new Error(sheetName ? `Worksheet "${sheetName}" not found` : 'Excel file has no worksheets');
+  }
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, col) => {
+    headers[col] = cell.text.trim();
+  });
+
+  const contacts = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const contact = {};
+    headers.forEach((header, col) => {
+      if (!header) return;
+      const cell = row.getCell(col);
+      // Numbers stay numbers like cast CSV cells; everything else
+      // (rich text, hyperlinks, formulas, dates) as displayed
+      contact[header] = cast && typeof cell.value === 'number' ? cell.value : cell.text.trim();
+    });
+
+    if (Object.values(contact).some(value => value !== '')) {
+      contacts.push(contact);
+    }
+  });
+
+  return contacts;
+}
+
+/**
+ * Read contacts from a JSON array (or an object with a "contacts" array)
+ * @param {string} filePath - Path to .json file
+ * @returns {Promise<Array<Object>>} Contacts
+ */
+export async function parseContactsJSON(filePath) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to parse JSON contacts: ${error.message}`);
+  }
+
+  const list = Array.isArray(data) ? data : data && data.contacts;
+  if (!Array.isArray(list)) {
+    throw new Error('JSON contacts must be an array or an object with a "contacts" array');
+  }
+
+  return list.map((entry, i) => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`JSON contact ${i + 1} is not an object`);
+    }
+    return { ...entry };
+  });
+}
+
+/**
+ * Read contacts from a vCard file (2.1, 3.0 or 4.0, as exported by phones)
+ * @param {string} filePath - Path to .vcf file
+ * @returns {Promise<Array<Object>>} Contacts
+ */
+export async function parseContactsVCard(filePath) {
+  const content = (await fs.readFile(filePath, 'utf-8')).replace(/^\uFEFF/, '');
+  const contacts = [];
+  let card = null;
+
+  for (const property of unfoldVCardLines(content)) {
+    if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VCARD') {
+      card = [];
+    } else if (property.name === 'END' && property.value.toUpperCase() === 'VCARD') {
+      if (card) contacts.push(mapVCard(card));
+      card = null;
+    } else if (card) {
+      card.push(property);
+    }
+  }
+
+  return contacts;
+}
+
+/**
+ * Split vCard content into properties, joining folded and
+ * quoted-printable soft-broken lines
+ * @param {string} content - vCard file content
+ * @returns {Array<Object>} { name, params, value } properties
+ */
+function unfoldVCardLines(content) {
+  const lines = [];
+
+  content.split(/\r?\n/).forEach(line => {
+    const previous = lines[lines.length - 1];
+
+    if (previous !== undefined && /^[ \t]/.test(line)) {
+      // RFC folding: continuation starts with whitespace
+      lines[lines.length - 1] = previous + line.slice(1);
+    } else if (previous !== undefined && /QUOTED-PRINTABLE/i.test(previous) && previous.endsWith('=')) {
+      // vCard 2.1 quoted-printable soft line break
+      lines[lines.length - 1] = previous.slice(0, -1) + line;
+    } else if (line.trim() !== '') {
+      lines.push(line);
+    }
+  });
+
+  return lines.map(parseVCardProperty).filter(Boolean);
+}
+
+function parseVCardProperty(line) {
+  const colon = line.indexOf(':');
+  if (colon === -1) return null;
+
+  const [rawName, ...rawParams] = line.slice(0, colon).split(';');
+  // Drop group prefixes such as "item1.TEL"
+  const name = rawName.split('.').pop().toUpperCase();
+
+  const params = {};
+  const types = [];
+  rawParams.forEach(param => {
+    const [key, value] = param.split('=');
+    if (value === undefined) {
+      // vCard 2.1 bare types: TEL;CELL:...
+      types.push(key.toUpperCase());
+    } else if (key.toUpperCase() === 'TYPE') {
+      types.push(...value.replace(/"/g, '').toUpperCase().split(','));
+    } else {
+      params[key.toUpperCase()] = value;
+    }
+  });
+
+  let value = line.slice(colon + 1);
+  if ((params.ENCODING || '').toUpperCase() === 'QUOTED-PRINTABLE') {
+    value = decodeQuotedPrintable(value, params.CHARSET);
+  }
+
+  return { name, params, types, value };
+}
+
+function decodeQuotedPrintable(value, charset = 'utf-8') {
+  const bytes = [];
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '=' && /^[0-9A-F]{2}$/i.test(value.substr(i + 1, 2))) {
+      bytes.push(parseInt(value.substr(i + 1, 2), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(value[i], 'utf-8'));
+    }
+  }
+  return new TextDecoder(charset).decode(Buffer.from(bytes));
+}
+
+function unescapeVCardValue(value) {
+  return value
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+}
+
+/**
+ * Map vCard properties onto a contact object
+ * @param {Array<Object>} properties - Properties of one card
+ * @returns {Object} Contact
+ */
+function mapVCard(properties) {
+  const contact = {};
+  const get = (name) => properties.find(property => property.name === name);
+
+  const n = get('N');
+  if (n) {
+    const [lastName = '', firstName = '', middleName = ''] = n.value.split(';').map(unescapeVCardValue);
+    if (firstName) contact.first_name = firstName;
+    if (lastName) contact.last_name = lastName;
+    if (!get('FN')) {
+      contact.name = [firstName, middleName, lastName].filter(Boolean).join(' ');
+    }
+  }
+
+  const fn = get('FN');
+  if (fn) contact.name = unescapeVCardValue(fn.value);
+
+  // Prefer a mobile number, then the preferred one, then the first
+  const phones = properties.filter(property => property.name === 'TEL');
+  const phone = phones.find(p => p.types.includes('CELL'))
+    || phones.find(p => p.types.includes('PREF') || p.params.PREF)
+    || phones[0];
+  contact.phone = phone ? unescapeVCardValue(phone.value).replace(/^tel:/i, '') : '';
+
+  const email = get('EMAIL');
+  if (email) contact.email = unescapeVCardValue(email.value);
+
+  const org = get('ORG');
+  if (org) contact.company = unescapeVCardValue(org.value.split(';')[0]);
+
+  const title = get('TITLE');
+  if (title) contact.position = unescapeVCardValue(title.value);
+
+  const birthday = get('BDAY');
+  if (birthday) contact.birthday = unescapeVCardValue(birthday.value);
+
+  return contact;
+}
+
+/**
+ * Check whether headers come from a Google Contacts export
+ * @param {Array<string>} headers - Column names
+ * @returns {boolean}
+ */
+function isGoogleContactsHeader(headers) {
+  return headers.some(header => /^"?Phone 1 - Value"?$/.test(header.trim()));
+}
+
+/**
+ * Map Google Contacts export rows (old and new column layouts) onto
+ * contact objects; other rows are returned unchanged. The export's own
+ * columns (Notes, Birthday...) are kept next to the mapped fields, as with
+ * the other formats, so templates and contacts.columns can use them too.
+ * @param {Array<Object>} rows - Parsed rows
+ * @returns {Array<Object>} Contacts
+ */
+export function mapGoogleContacts(rows) {
+  if (rows.length === 0 || !isGoogleContactsHeader(Object.keys(rows[0]))) {
+    return rows;
+  }
+
+  return rows.map(row => {
+    const pick = (...columns) => {
+      const column = columns.find(name => row[name] !== undefined && String(row[name]).trim() !== '');
+      return column ? String(row[column]).trim() : '';
+    };
+
+    const firstName = pick('Given Name', 'First Name');
+    const middleName = pick('Additional Name', 'Middle Name');
+    const lastName = pick('Family Name', 'Last Name');
+
+    const contact = {
+      phone: pickGooglePhone(row),
+      name: pick('Name') || [firstName, middleName, lastName].filter(Boolean).join(' '),
+      first_name: firstName,
+      last_name: lastName,
+      email: pick('E-mail 1 - Value'),
+      company: pick('Organization 1 - Name', 'Organization Name'),
+      position: pick('Organization 1 - Title', 'Organization Title')
+    };
+
+    // Keep only fields the export actually filled in
+    return {
+      ...row,
+      ...Object.fromEntries(
+        Object.entries(contact).filter(([field, value]) => field === 'phone' || value !== '')
+      )
+    };
+  });
+}
+
+/**
+ * Pick the best phone from "Phone N - Type"/"Phone N - Value" columns,
+ * preferring mobile numbers. A value can hold several numbers joined by " ::: ".
+ */
+function pickGooglePhone(row) {
+  const phones = [];
+
+  for (let i = 1; row[`Phone ${i} - Value`] !== undefined; i++) {
+    const value = String(row[`Phone ${i} - Value`]).split(':::')[0].trim();
+    if (value) {
+      phones.push({ type: String(row[`Phone ${i} - Type`] || ''), value });
+    }
+  }
+
+  const mobile = phones.find(phone => /mobile/i.test(phone.type));
+  return (mobile || phones[0] || { value: '' }).value;
+}
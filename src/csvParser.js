@@ -1,74 +1,325 @@
 import { parse } from 'csv-parse';
+import { stringify } from 'csv-stringify/sync';
 import fs from 'fs/promises';
-import { createReadStream } from 'fs';
+import path from 'path';
+import { normalizePhoneNumber } from './phoneNumbers.js';
+
+// Byte order marks and the encoding they announce
+const BOMS = [
+  { bytes: [0xef, 0xbb, 0xbf], encoding: 'utf-8' },
+  { bytes: [0xff, 0xfe], encoding: 'utf-16le' },
+  { bytes: [0xfe, 0xff], encoding: 'utf-16be' }
+];
+
+// Delimiters tried when delimiter is "auto"
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
 
 /**
  * Parse CSV file and return array of contact objects with dynamic fields
  * @param {string} filePath - Path to CSV file
+ * @param {Object} options - CSV dialect options
+ * @param {string} options.delimiter - Field delimiter, or "auto" to detect (default ",")
+ * @param {string} options.encoding - Any encoding TextDecoder supports, e.g. utf-16le, windows-1255 (default utf-8)
+ * @param {string} options.bom - auto: a BOM picks the encoding and is removed; strip: remove it; keep: leave it (default auto)
+ * @param {boolean} options.cast - Convert numeric cells to numbers (default true)
+ * @param {Array<string>} options.textColumns - Columns never cast (e.g. a mapped phone column)
  * @returns {Promise<Array<Object>>} Array of contact objects
  */
-export async function parseContactsCSV(filePath) {
+export async function parseContactsCSV(filePath, options = {}) {
+  const {
+    delimiter = ',',
+    encoding = 'utf-8',
+    bom = 'auto',
+    cast = true,
+    textColumns = []
+  } = options;
+
+  const buffer = await fs.readFile(filePath);
+  const text = decodeBuffer(buffer, encoding, bom);
+
   return new Promise((resolve, reject) => {
-    const contacts = [];
-
-    createReadStream(filePath)
-      .pipe(parse({
-        columns: true, // Use first row as headers
-        skip_empty_lines: true,
-        trim: true,
-        cast: true,
-        cast_date: false
-      }))
-      .on('data', (row) => {
-        contacts.push(row);
-      })
-      .on('end', () => {
-        resolve(contacts);
-      })
-      .on('error', (error) => {
+    parse(text, {
+      columns: true, // Use first row as headers
+      delimiter: delimiter === 'auto' ? detectDelimiter(text) : delimiter,
+      skip_empty_lines: true,
+      trim: true,
+      cast: cast ? (value, context) => castValue(value, context, textColumns) : false
+    }, (error, contacts) => {
+      if (error) {
         reject(new Error(`Failed to parse CSV: ${error.message}`));
-      });
+      } else {
+        resolve(contacts);
+      }
+    });
   });
 }
 
 /**
- * Validate that contacts have required phone field
+ * Decode file content, honouring the BOM policy
+ * @param {Buffer} buffer - Raw file content
+ * @param {string} encoding - Configured encoding
+ * @param {string} bom - auto | strip | keep
+ * @returns {string} Decoded text
+ */
+function decodeBuffer(buffer, encoding, bom) {
+  const found = BOMS.find(({ bytes }) => bytes.every((byte, i) => buffer[i] === byte));
+  let content = buffer;
+  let effectiveEncoding = encoding;
+
+  if (found && bom !== 'keep') {
+    // Excel's "Unicode text" and "CSV UTF-8" exports announce themselves with a BOM
+    if (bom === 'auto') {
+      effectiveEncoding = found.encoding;
+    }
+    content = buffer.subarray(found.bytes.length);
+  }
+
+  let decoder;
+  try {
+    decoder = new TextDecoder(effectiveEncoding, { ignoreBOM: true });
+  } catch {
+    throw new Error(`Unsupported encoding "${effectiveEncoding}"`);
+  }
+  return decoder.decode(content);
+}
+
+/**
+ * Pick the delimiter that splits the header line into the most columns
+ * @param {string} text - CSV content
+ * @returns {string} Delimiter
+ */
+function detectDelimiter(text) {
+  const header = text.split(/\r?\n/)[0];
+  return DELIMITER_CANDIDATES.reduce((best, candidate) =>
+    header.split(candidate).length > header.split(best).length ? candidate : best
+  );
+}
+
+/**
+ * Check whether a column holds the phone number
+ * (case-insensitive, with or without underscores)
+ * @param {string} key - Column name
+ * @returns {boolean}
+ */
+function isPhoneField(key) {
+  const normalized = key.toLowerCase().replace(/[_\s-]/g, '');
+  return normalized === 'phone' || normalized === 'phonenumber';
+}
+
+/**
+ * Cast numeric cells to numbers, except phone-like columns (Phone, Mobile,
+ * "Phone 1 - Value"...), where casting would drop the leading + or 0
+ * @param {string} value - Cell value
+ * @param {Object} context - csv-parse cast context
+ * @param {Array<string>} textColumns - Additional columns to keep as text
+ * @returns {string|number} Cast value
+ */
+function castValue(value, context, textColumns = []) {
+  const column = String(context.column);
+  if (context.header || /phone|mobile/i.test(column) || textColumns.includes(column)) {
+    return value;
+  }
+  return value !== '' && !isNaN(Number(value)) ? Number(value) : value;
+}
+
+/**
+ * How rows sharing a phone number (after normalization) are collapsed:
+ * - first_wins: keep the first row
+ * - last_wins: keep the last row
+ * - merge: keep the first row, filling its empty fields from later rows
+ * - reject: drop every row with that phone and report them as invalid
+ */
+export const DUPLICATE_POLICIES = ['first_wins', 'last_wins', 'merge', 'reject'];
+
+/**
+ * Validate that contacts have a usable phone number and normalize it to E.164
  * @param {Array<Object>} contacts - Array of contact objects
- * @returns {Object} - Validation result with valid and invalid contacts
+ * @param {Object} options - Validation options
+ * @param {string} options.defaultCountry - ISO country for numbers without country code
+ * @param {string} options.duplicatePolicy - One of DUPLICATE_POLICIES (default first_wins)
+ * @param {number} options.firstRow - Row number of the first contact in reports (default 2, after the header)
+ * @returns {Object} - Validation result with valid and invalid contacts, collapsed duplicates
+ *   and rows (phone -> source row number of each valid contact)
  */
-export function validateContacts(contacts) {
-  const valid = [];
+export function validateContacts(contacts, options = {}) {
+  const { defaultCountry, duplicatePolicy = 'first_wins', firstRow = 2 } = options;
   const invalid = [];
+  const rowsByPhone = new Map();
 
   contacts.forEach((contact, index) => {
-    // Check for phone field (case-insensitive, with or without underscores)
-    const phoneField = Object.keys(contact).find(key => {
-      const normalized = key.toLowerCase().replace(/[_\s-]/g, '');
-      return normalized === 'phone' || normalized === 'phonenumber';
-    });
+    const row = index + firstRow;
 
-    if (phoneField && contact[phoneField]) {
-      // Normalize phone field name to 'phone'
-      if (phoneField !== 'phone') {
-        contact.phone = contact[phoneField];
-        delete contact[phoneField];
-      }
+    // Check for phone field
+    const phoneField = Object.keys(contact).find(isPhoneField);
 
-      // Clean phone number (remove spaces, dashes, etc.)
-      contact.phone = contact.phone.toString().replace(/[\s-()]/g, '');
+    if (!phoneField) {
+      invalid.push({ index: row, contact, reason: 'Missing phone number' });
+      return;
+    }
 
-      // Add + prefix if missing (assuming international format)
-      if (!contact.phone.startsWith('+')) {
-        contact.phone = '+' + contact.phone;
-      }
+    const result = normalizePhoneNumber(contact[phoneField], { defaultCountry });
 
+    if (!result.valid) {
+      invalid.push({ index: row, contact, reason: result.reason });
+      return;
+    }
+
+    // Normalize phone field name to 'phone'
+    if (phoneField !== 'phone') {
+      delete contact[phoneField];
+    }
+    contact.phone = result.phone;
+
+    if (!rowsByPhone.has(contact.phone)) {
+      rowsByPhone.set(contact.phone, []);
+    }
+    rowsByPhone.get(contact.phone).push({ row, contact });
+  });
+
+  // Collapse duplicates; contacts keep the position of the phone's first row
+  const valid = [];
+  const duplicates = [];
+  const rowNumbers = new Map();
+
+  rowsByPhone.forEach((rows, phone) => {
+    if (rows.length === 1) {
+      valid.push(rows[0].contact);
+      rowNumbers.set(phone, rows[0].row);
+      return;
+    }
+
+    const { contact, keptRow, conflicts } = collapseDuplicates(rows, duplicatePolicy);
+    const duplicateRows = rows.map(({ row }) => row);
+
+    duplicates.push({ phone, rows: duplicateRows, keptRow, policy: duplicatePolicy, conflicts });
+
+    if (contact) {
       valid.push(contact);
+      rowNumbers.set(phone, keptRow);
     } else {
-      invalid.push({ index: index + 2, contact, reason: 'Missing phone number' });
+      rows.forEach(({ row, contact: rejected }) => {
+        invalid.push({
+          index: row,
+          contact: rejected,
+          reason: `Duplicate phone number ${phone} (rows ${duplicateRows.join(', ')})`
+        });
+      });
     }
   });
 
-  return { valid, invalid };
+  invalid.sort((a, b) => a.index - b.index);
+
+  return { valid, invalid, duplicates, rows: rowNumbers };
+}
+
+/**
+ * Collapse rows that share a phone number according to the policy
+ * @param {Array<Object>} rows - { row, contact } entries in file order
+ * @param {string} policy - One of DUPLICATE_POLICIES
+ * @returns {Object} Kept contact (null if rejected), its row and merge conflicts
+ */
+function collapseDuplicates(rows, policy) {
+  switch (policy) {
+    case 'first_wins':
+      return { contact: rows[0].contact, keptRow: rows[0].row, conflicts: [] };
+
+    case 'last_wins': {
+      const last = rows[rows.length - 1];
+      return { contact: last.contact, keptRow: last.row, conflicts: [] };
+    }
+
+    case 'merge': {
+      const merged = { ...rows[0].contact };
+      const conflicts = [];
+
+      rows.slice(1).forEach(({ row, contact }) => {
+        Object.entries(contact).forEach(([field, value]) => {
+          if (isEmpty(value)) return;
+
+          if (isEmpty(merged[field])) {
+            merged[field] = value;
+          } else if (String(merged[field]) !== String(value)) {
+            // First non-empty value wins; the others are reported
+            conflicts.push({ field, kept: merged[field], dropped: value, row });
+          }
+        });
+      });
+
+      return { contact: merged, keptRow: rows[0].row, conflicts };
+    }
+
+    case 'reject':
+      return { contact: null, keptRow: null, conflicts: [] };
+
+    default:
+      throw new Error(`Unknown duplicate policy "${policy}". Expected one of: ${DUPLICATE_POLICIES.join(', ')}`);
+  }
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Write a CSV report of collapsed duplicate rows
+ * @param {string} filePath - Report path
+ * @param {Array<Object>} duplicates - Duplicates returned by validateContacts
+ */
+export async function writeDuplicatesReport(filePath, duplicates) {
+  const records = duplicates.map(({ phone, rows, keptRow, policy, conflicts }) => ({
+    phone,
+    rows: rows.join(' '),
+    kept_row: keptRow === null ? '' : keptRow,
+    policy,
+    conflicts: conflicts
+      .map(({ field, kept, dropped, row }) => `${field}: kept "${kept}", dropped "${dropped}" (row ${row})`)
+      .join('; ')
+  }));
+
+  const csv = stringify(records, {
+    header: true,
+    columns: ['phone', 'rows', 'kept_row', 'policy', 'conflicts']
+  });
+
+  await fs.writeFile(filePath, csv, 'utf-8');
+}
+
+/**
+ * Format records as CSV for people to open in a spreadsheet. The UTF-8 BOM
+ * makes Excel read emoji and non-Latin text correctly.
+ * @param {Array<Object>} records - Rows
+ * @param {Array<string>} columns - Columns, in order (also the header row)
+ * @returns {string} CSV content
+ */
+export function toSpreadsheetCSV(records, columns) {
+  return stringify(records, { header: true, bom: true, columns });
+}
+
+/**
+ * Write records as CSV (see toSpreadsheetCSV), creating the directory
+ * @param {string} filePath - Output path
+ * @param {Array<Object>} records - Rows
+ * @param {Array<string>} columns - Columns, in order
+ */
+export async function writeSpreadsheetCSV(filePath, records, columns) {
+  await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+  await fs.writeFile(filePath, toSpreadsheetCSV(records, columns), 'utf-8');
+}
+
+/**
+ * Write contacts with their WhatsApp check result (check-numbers command)
+ * @param {string} filePath - Output path
+ * @param {Array<Object>} contacts - Valid contacts (normalized phone numbers)
+ * @param {Map<string, string>} statuses - Phone -> valid, invalid or unchecked
+ */
+export async function writeCheckedContacts(filePath, contacts, statuses) {
+  const fields = ['phone', ...getAvailableFields(contacts).filter(field => field !== 'phone'), 'whatsapp_status'];
+  const records = contacts.map(contact => ({
+    ...contact,
+    whatsapp_status: statuses.get(contact.phone) || 'unchecked'
+  }));
+
+  await writeSpreadsheetCSV(filePath, records, fields);
 }
 
 /**
@@ -0,0 +1,84 @@
+import { WhatsAppAutomation } from './whatsappAutomation.js';
+import { startFakeWhatsAppServer } from './fakeWhatsApp/server.js';
+
+/**
+ * Transport driver used by WhatsAppAutomationApp to talk to WhatsApp.
+ *
+ * @typedef {Object} WhatsAppDriver
+ * @property {() => Promise<void>} initialize - Open the transport and wait until logged in
+ * @property {(phone: string, message: string, attachment: {path: string, type: string}|null, caption: string|null) => Promise<{status: string, messageIds: Array<string>}>} sendMessage - Send a message (and optional file) to a phone number; resolves to its delivery status and message ids
+ * @property {(phone: string) => Promise<void>} openChat - Open the chat with a phone number (before sendStep or getOutgoingMessages)
+ * @property {(phone: string) => Promise<string>} checkNumber - Whether a phone number is on WhatsApp ('valid' or 'invalid'), without sending
+ * @property {(step: Object) => Promise<{status: string, messageIds: Array<string>}>} sendStep - Send one step of a message sequence in the open chat; resolves like sendMessage
+ * @property {() => Promise<Array<Object>>} getChatMessages - Messages in the open chat, ours and the contact's, oldest first
+ * @property {() => Promise<Array<Object>>} getOutgoingMessages - Our messages in the open chat with their delivery status
+ * @property {() => Promise<boolean>} ensureLoggedIn - If WhatsApp logged out, wait for a re-login (true if one happened)
+ * @property {(filename: string, force?: boolean) => Promise<string|null>} takeScreenshot - Capture the current state for debugging
+ * @property {() => Promise<void>} close - Release the transport
+ * @property {() => boolean} isRunning - Whether the transport is still open
+ * @property {Function|null} onLoginStatus - Set to receive ({ status, qr }) login state changes (see LOGIN_STATUSES)
+ */
+
+export const DRIVER_TYPES = ['puppeteer', 'local'];
+
+/**
+ * Puppeteer driver pointed at a bundled local stand-in for WhatsApp Web.
+ * Starts the fake server on initialize and stops it on close, so full
+ * campaigns can run in CI without network access or a WhatsApp account.
+ */
+export class LocalWhatsAppDriver extends WhatsAppAutomation {
+  constructor(config, logger) {
+    super(config, logger);
+    this.server = null;
+  }
+
+  /**
+   * Start the fake WhatsApp Web server, then the browser
+   */
+  async initialize() {
+    const localOptions = (this.config.driver && this.config.driver.local) || {};
+    this.server = await startFakeWhatsAppServer(localOptions, this.logger);
+    this.baseUrl = this.server.url;
+
+    try {
+      await super.initialize();
+    } catch (error) {
+      // shutdown() skips close() when the browser never started, so the
+      // server would keep the process alive
+      await this.server.stop();
+      this.server = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Close the browser and stop the fake server
+   */
+  async close() {
+    await super.close();
+
+    if (this.server) {
+      await this.server.stop();
+      this.server = null;
+    }
+  }
+}
+
+/**
+ * Create the driver selected by config.driver.type
+ * @param {Object} config - Application configuration
+ * @param {winston.Logger} logger - Logger instance
+ * @returns {WhatsAppDriver} Driver instance
+ */
+export function createDriver(config, logger) {
+  const type = (config.driver && config.driver.type) || 'puppeteer';
+
+  switch (type) {
+    case 'puppeteer':
+      return new WhatsAppAutomation(config, logger);
+    case 'local':
+      return new LocalWhatsAppDriver(config, logger);
+    default:
+      throw new Error(`Unknown driver type "${type}". Expected one of: ${DRIVER_TYPES.join(', ')}`);
+  }
+}
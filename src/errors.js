@@ -0,0 +1,58 @@
+/**
+ * Error raised for invalid configuration, command-line arguments or input
+ * files, i.e. problems the user has to fix before a run can start
+ */
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+/**
+ * Error raised for malformed message templates (unclosed blocks, unknown
+ * filters, bad filter arguments)
+ */
+export class TemplateSyntaxError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {number} line - 1-based line in the template where it was found
+   */
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'TemplateSyntaxError';
+    this.line = line;
+  }
+}
+
+/**
+ * Error raised when an operation failed because WhatsApp Web logged out
+ * (the phone unlinked the device or the session expired). Not retried: the
+ * caller pauses for a re-login instead (see WhatsAppAutomation.ensureLoggedIn).
+ */
+export class SessionLostError extends Error {
+  /**
+   * @param {string} message - Error of the failed operation
+   */
+  constructor(message) {
+    super(`WhatsApp logged out: ${message}`);
+    this.name = 'SessionLostError';
+    this.retryable = false;
+  }
+}
+
+/**
+ * Error raised when WhatsApp reports that a phone number has no account.
+ * Retrying won't help, so retryWithBackoff gives up on it at once.
+ */
+export class InvalidNumberError extends Error {
+  /**
+   * @param {string} phone - Phone number that was rejected
+   */
+  constructor(phone) {
+    super(`Invalid phone number: ${phone}`);
+    this.name = 'InvalidNumberError';
+    this.phone = phone;
+    this.retryable = false;
+  }
+}
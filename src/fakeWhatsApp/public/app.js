@@ -0,0 +1,354 @@
+// Local stand-in for WhatsApp Web.
+// Only the elements the automation interacts with are reproduced, using the
+// same selectors as the real site (aria-labels, data-tab, data-icon).
+
+const app = document.getElementById('app');
+// A leading + in the URL decodes to a space, as on the real site
+const phone = (new URLSearchParams(window.location.search).get('phone') || '').trim();
+
+const QR_LABEL = 'Scan this QR code to link a device!';
+const MEDIA_ACCEPT = 'image/*,video/mp4,video/3gpp,video/quicktime';
+// The document picker accepts any file; audio sent this way shows as an audio message
+const DOCUMENT_ACCEPT = '*';
+const ATTACHMENT_ICONS = { image: '🖼️', video: '🎬', audio: '🎵', document: '📄' };
+const STATUS_ICONS = {
+  pending: { icon: 'msg-time', label: ' Pending ' },
+  sent: { icon: 'msg-check', label: ' Sent ' },
+  delivered: { icon: 'msg-dblcheck', label: ' Delivered ' },
+  read: { icon: 'msg-dblcheck', label: ' Read ' }
+};
+
+let lastRendered = '';
+let pendingFiles = [];
+
+boot();
+
+async function boot() {
+  const session = await api('GET', '/api/session');
+
+  if (!session.loggedIn) {
+    renderQrScreen();
+    return;
+  }
+
+  renderMainScreen();
+
+  // Like WhatsApp, go back to the QR screen when the device is unlinked
+  const timer = setInterval(async () => {
+    const current = await api('GET', '/api/session');
+    if (!current.loggedIn) {
+      clearInterval(timer);
+      renderQrScreen();
+    }
+  }, 2000);
+
+  if (phone) {
+    await openChat();
+  }
+}
+
+// QR login screen
+
+function renderQrScreen() {
+  app.innerHTML = `
+    <div class="landing">
+      <h1>Use WhatsApp on your computer</h1>
+      <p>Click the code to simulate scanning it with your phone.</p>
+      <div class="qr-wrapper">
+        <canvas aria-label="${QR_LABEL}" role="img" width="264" height="264"></canvas>
+      </div>
+    </div>
+  `;
+
+  const canvas = app.querySelector('canvas');
+  drawQrCode(canvas);
+
+  // Like WhatsApp, replace the code every 20 seconds; a login through the
+  // API (POST /api/session/login) also counts as a scan
+  let ticks = 0;
+  const timer = setInterval(async () => {
+    ticks++;
+    if (ticks % 20 === 0) {
+      drawQrCode(canvas);
+    }
+    const session = await api('GET', '/api/session');
+    if (session.loggedIn) {
+      clearInterval(timer);
+      boot();
+    }
+  }, 1000);
+
+  canvas.addEventListener('click', async () => {
+    clearInterval(timer);
+    await api('POST', '/api/session/login');
+    boot();
+  });
+}
+
+function drawQrCode(canvas) {
+  const ctx = canvas.getContext('2d');
+  const modules = 33;
+  const size = canvas.width / modules;
+
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = '#122e31';
+
+  for (let y = 0; y < modules; y++) {
+    for (let x = 0; x < modules; x++) {
+      if (Math.random() < 0.5) {
+        ctx.fillRect(x * size, y * size, size, size);
+      }
+    }
+  }
+
+  // Finder patterns in three corners
+  [[0, 0], [modules - 7, 0], [0, modules - 7]].forEach(([fx, fy]) => {
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect((fx - 1) * size, (fy - 1) * size, 9 * size, 9 * size);
+    ctx.fillStyle = '#122e31';
+    ctx.fillRect(fx * size, fy * size, 7 * size, 7 * size);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect((fx + 1) * size, (fy + 1) * size, 5 * size, 5 * size);
+    ctx.fillStyle = '#122e31';
+    ctx.fillRect((fx + 2) * size, (fy + 2) * size, 3 * size, 3 * size);
+  });
+}
+
+// Main interface
+
+function renderMainScreen() {
+  app.innerHTML = `
+    <div class="layout">
+      <div class="side">
+        <header class="side-header">Chats</header>
+        <div aria-label="Chat list" role="grid" class="chat-list">
+          ${phone ? `<div role="row" class="chat-row">+${escapeHtml(phone.replace(/^\+/, ''))}</div>` : ''}
+        </div>
+      </div>
+      <div id="main" class="main">
+        <div class="intro">Send and receive messages without keeping your phone online.</div>
+      </div>
+    </div>
+  `;
+}
+
+async function openChat() {
+  const chat = await api('GET', `/api/chats/${encodeURIComponent(phone)}`);
+
+  if (!chat.valid) {
+    app.insertAdjacentHTML('beforeend', `
+      <div data-animate-modal-popup="true" class="popup" role="dialog">
+        <div class="popup-body">Phone number shared via url is invalid.</div>
+        <div role="button" class="popup-ok">OK</div>
+      </div>
+    `);
+    app.querySelector('.popup-ok').addEventListener('click', () => {
+      app.querySelector('.popup').remove();
+    });
+    return;
+  }
+
+  const main = document.getElementById('main');
+  main.innerHTML = `
+    <header class="chat-header"><span title="${escapeHtml(phone)}">${escapeHtml(phone)}</span></header>
+    <div class="messages" id="messages" role="application"></div>
+    <footer class="composer">
+      <div aria-label="Attach" role="button" class="attach"><span data-icon="plus">+</span></div>
+      <div class="attach-menu hidden">
+        <label>Photos & videos <input type="file" accept="${MEDIA_ACCEPT}" multiple></label>
+        <label>Document <input type="file" accept="${DOCUMENT_ACCEPT}" multiple></label>
+      </div>
+      <div class="composer-input" contenteditable="true" role="textbox" data-tab="10" title="Type a message" dir="auto"></div>
+      <div class="composer-action"><span data-icon="ptt">🎤</span></div>
+    </footer>
+  `;
+
+  const composer = main.querySelector('[data-tab="10"]');
+  composer.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && !event.shiftKey) {
+      event.preventDefault();
+      sendDraft(composer);
+    }
+  });
+  composer.addEventListener('input', () => updateComposerAction(composer));
+  composer.addEventListener('paste', pastePlainText);
+
+  main.querySelector('.attach').addEventListener('click', () => {
+    main.querySelector('.attach-menu').classList.toggle('hidden');
+  });
+
+  main.querySelectorAll('input[type="file"]').forEach(input => {
+    input.addEventListener('change', (event) => {
+      openMediaPreview(Array.from(event.target.files), composer, input.accept === DOCUMENT_ACCEPT);
+      event.target.value = '';
+    });
+  });
+
+  renderMessages(chat.messages);
+  setInterval(refreshMessages, 500);
+}
+
+// The send icon only exists while there is a draft, like the real composer
+function updateComposerAction(composer) {
+  const action = document.querySelector('.composer-action');
+  const hasDraft = readEditable(composer).trim().length > 0;
+
+  action.innerHTML = hasDraft
+    ? '<button aria-label="Send" class="send-button"><span data-icon="send">➤</span></button>'
+    : '<span data-icon="ptt">🎤</span>';
+
+  if (hasDraft) {
+    action.querySelector('button').addEventListener('click', () => sendDraft(composer));
+  }
+}
+
+async function sendDraft(composer) {
+  const text = readEditable(composer);
+  if (text.trim().length === 0) return;
+
+  composer.innerHTML = '';
+  updateComposerAction(composer);
+
+  await api('POST', `/api/chats/${encodeURIComponent(phone)}/messages`, { text });
+  await refreshMessages();
+}
+
+// Attachment preview: typed draft text becomes the caption
+
+function openMediaPreview(files, composer, asDocument) {
+  if (files.length === 0) return;
+
+  pendingFiles = files.map(file => ({ file, kind: attachmentKind(file.type, asDocument) }));
+  const draft = readEditable(composer);
+  composer.innerHTML = '';
+  updateComposerAction(composer);
+  document.querySelector('.attach-menu').classList.add('hidden');
+
+  app.insertAdjacentHTML('beforeend', `
+    <div class="media-preview" role="dialog">
+      <div class="media-files">
+        ${pendingFiles.map(({ file, kind }) => `<div class="media-file">${ATTACHMENT_ICONS[kind]} ${escapeHtml(file.name)}</div>`).join('')}
+      </div>
+      <div class="media-caption" contenteditable="true" role="textbox" data-tab="undefined" title="Add a caption" dir="auto"></div>
+      <div aria-label="Send" role="button" class="send-button"><span data-icon="send">➤</span></div>
+    </div>
+  `);
+
+  const preview = app.querySelector('.media-preview');
+  const caption = preview.querySelector('.media-caption');
+  caption.innerText = draft;
+
+  caption.addEventListener('paste', pastePlainText);
+  caption.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && !event.shiftKey) {
+      event.preventDefault();
+      sendMedia(preview, caption);
+    }
+  });
+  preview.querySelector('[aria-label="Send"]').addEventListener('click', () => sendMedia(preview, caption));
+}
+
+async function sendMedia(preview, caption) {
+  const attachments = pendingFiles.map(({ file, kind }) => ({
+    name: file.name,
+    type: file.type,
+    size: file.size,
+    kind
+  }));
+  const text = readEditable(caption);
+
+  pendingFiles = [];
+  preview.remove();
+
+  await api('POST', `/api/chats/${encodeURIComponent(phone)}/messages`, { text, attachments });
+  await refreshMessages();
+}
+
+// Message list
+
+async function refreshMessages() {
+  const chat = await api('GET', `/api/chats/${encodeURIComponent(phone)}`);
+  renderMessages(chat.messages);
+}
+
+function renderMessages(messages) {
+  const serialized = JSON.stringify(messages);
+  if (serialized === lastRendered) return;
+  lastRendered = serialized;
+
+  const container = document.getElementById('messages');
+  container.innerHTML = messages.map(renderMessage).join('');
+  container.scrollTop = container.scrollHeight;
+}
+
+function renderMessage(message) {
+  const date = new Date(message.timestamp);
+  const time = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  const day = `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()}`;
+  const author = message.direction === 'out' ? 'You' : escapeHtml(phone);
+  const status = STATUS_ICONS[message.status] || STATUS_ICONS.pending;
+
+  const attachments = (message.attachments || [])
+    .map(file => `<div class="attachment attachment-${file.kind || 'document'}" data-file-name="${escapeHtml(file.name)}">${ATTACHMENT_ICONS[file.kind] || ATTACHMENT_ICONS.document} ${escapeHtml(file.name)}</div>`)
+    .join('');
+
+  const text = message.text
+    ? `<span class="selectable-text copyable-text" dir="auto"><span>${escapeHtml(message.text)}</span></span>`
+    : '';
+
+  const meta = message.direction === 'out'
+    ? `<span data-icon="${status.icon}" aria-label="${status.label}" class="status status-${message.status}"></span>`
+    : '';
+
+  return `
+    <div role="row">
+      <div class="message-${message.direction}" data-id="${message.id}">
+        <div class="copyable-text" data-pre-plain-text="[${time}, ${day}] ${author}: ">
+          ${attachments}
+          ${text}
+        </div>
+        <div class="message-meta"><span class="message-time">${time}</span>${meta}</div>
+      </div>
+    </div>
+  `;
+}
+
+// Helpers
+
+// Documents keep their file name; audio from the document picker plays inline
+function attachmentKind(mimeType, asDocument) {
+  if (mimeType.startsWith('audio/')) return 'audio';
+  if (asDocument) return 'document';
+  return mimeType.startsWith('video/') ? 'video' : 'image';
+}
+
+// Pasting inserts the plain text with its line breaks, like the real editor
+function pastePlainText(event) {
+  event.preventDefault();
+  document.execCommand('insertText', false, event.clipboardData.getData('text/plain'));
+}
+
+// innerText of a contenteditable holds the line breaks typed with Shift+Enter
+function readEditable(element) {
+  return element.innerText.replace(/\n$/, '');
+}
+
+async function api(method, url, body) {
+  const response = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return response.json();
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const PUBLIC_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'public');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8'
+};
+
+// Delivery states an outgoing message moves through, in order
+const STATUS_PROGRESSION = ['pending', 'sent', 'delivered', 'read'];
+
+/**
+ * Local stand-in for WhatsApp Web.
+ * Serves a page that mimics the DOM the Puppeteer automation relies on
+ * and keeps every chat in memory so runs can be inspected afterwards.
+ */
+export class FakeWhatsAppServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {number} options.port - Port to listen on (0 picks a free port)
+   * @param {string} options.host - Interface to bind
+   * @param {boolean} options.require_login - Show the QR screen until the canvas is clicked
+   * @param {Array<string>} options.invalid_numbers - Numbers reported as not on WhatsApp
+   * @param {number} options.ack_delay_ms - Delay between delivery status changes
+   * @param {boolean} options.read_receipts - Whether messages eventually become "read"
+   * @param {winston.Logger} logger - Optional logger instance
+   */
+  constructor(options = {}, logger = null) {
+    this.options = {
+      port: 0,
+      host: '127.0.0.1',
+      require_login: false,
+      invalid_numbers: [],
+      ack_delay_ms: 500,
+      read_receipts: false,
+      ...options
+    };
+    this.logger = logger;
+    this.server = null;
+    this.url = null;
+    this.loggedIn = !this.options.require_login;
+    this.chats = new Map();
+    this.timers = new Set();
+    this.nextMessageId = 1;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} Base URL of the running server
+   */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        this.sendJson(res, 500, { error: error.message });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, resolve);
+    });
+
+    const { port } = this.server.address();
+    this.url = `http://${this.options.host}:${port}`;
+    this.log('info', `Fake WhatsApp Web listening on ${this.url}`);
+    return this.url;
+  }
+
+  /**
+   * Stop the server and pending status timers
+   */
+  async stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+      this.log('info', 'Fake WhatsApp Web stopped');
+    }
+  }
+
+  /**
+   * Get all messages sent to a phone number
+   * @param {string} phone - Phone number (with or without +)
+   * @returns {Array<Object>} Messages in the chat
+   */
+  getMessages(phone) {
+    return this.chats.get(normalizeChatId(phone)) || [];
+  }
+
+  /**
+   * Get every message across all chats
+   * @returns {Array<Object>} Messages with their chat id
+   */
+  getAllMessages() {
+    const all = [];
+    this.chats.forEach((messages, chatId) => {
+      messages.forEach(message => all.push({ chatId, ...message }));
+    });
+    return all;
+  }
+
+  /**
+   * Check whether a number should be reported as invalid
+   * @param {string} chatId - Normalized chat id (digits only)
+   * @returns {boolean}
+   */
+  isInvalidNumber(chatId) {
+    if (!/^\d{7,15}$/.test(chatId)) {
+      return true;
+    }
+    return this.options.invalid_numbers.some(number => normalizeChatId(number) === chatId);
+  }
+
+  /**
+   * Route an incoming HTTP request
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean);
+
+    if (parts[0] !== 'api') {
+      return this.serveStatic(url.pathname, res);
+    }
+
+    // GET /api/session, POST /api/session/login|logout
+    if (parts[1] === 'session') {
+      if (req.method === 'POST' && parts[2] === 'login') {
+        this.loggedIn = true;
+        this.log('info', 'Fake WhatsApp Web: QR code scanned');
+      }
+      if (req.method === 'POST' && parts[2] === 'logout') {
+        this.loggedIn = false;
+        this.log('info', 'Fake WhatsApp Web: device unlinked');
+      }
+      return this.sendJson(res, 200, { loggedIn: this.loggedIn });
+    }
+
+    // GET /api/messages - everything sent during this server's lifetime
+    if (parts[1] === 'messages' && req.method === 'GET') {
+      return this.sendJson(res, 200, { messages: this.getAllMessages() });
+    }
+
+    // GET/POST /api/chats/:phone[/messages|/incoming]
+    if (parts[1] === 'chats' && parts[2]) {
+      const chatId = normalizeChatId(decodeURIComponent(parts[2]));
+
+      if (this.isInvalidNumber(chatId)) {
+        return this.sendJson(res, 200, { valid: false, messages: [] });
+      }
+
+      if (req.method === 'POST' && parts[3] === 'messages') {
+        const body = await readJsonBody(req);
+        const message = this.addOutgoingMessage(chatId, body);
+        return this.sendJson(res, 201, { message });
+      }
+
+      // A message from the contact, e.g. to test reply collection
+      if (req.method === 'POST' && parts[3] === 'incoming') {
+        const body = await readJsonBody(req);
+        const message = this.addIncomingMessage(chatId, body);
+        return this.sendJson(res, 201, { message });
+      }
+
+      return this.sendJson(res, 200, { valid: true, messages: this.getMessages(chatId) });
+    }
+
+    return this.sendJson(res, 404, { error: 'Not found' });
+  }
+
+  /**
+   * Store an outgoing message and schedule its delivery status updates
+   * @param {string} chatId - Normalized chat id
+   * @param {Object} body - Message payload posted by the page
+   * @returns {Object} Stored message
+   */
+  addOutgoingMessage(chatId, body) {
+    const message = {
+      id: `fake-${this.nextMessageId++}`,
+      direction: 'out',
+      text: body.text || '',
+      attachments: Array.isArray(body.attachments) ? body.attachments : [],
+      status: 'pending',
+      timestamp: new Date().toISOString()
+    };
+
+    if (!this.chats.has(chatId)) {
+      this.chats.set(chatId, []);
+    }
+    this.chats.get(chatId).push(message);
+    this.log('debug', `Fake WhatsApp Web: message ${message.id} to ${chatId}`);
+
+    this.scheduleStatusUpdate(message);
+    return message;
+  }
+
+  /**
+   * Store a message from the contact
+   * @param {string} chatId - Normalized chat id
+   * @param {Object} body - { text }
+   * @returns {Object} Stored message
+   */
+  addIncomingMessage(chatId, body) {
+    const message = {
+      id: `fake-${this.nextMessageId++}`,
+      direction: 'in',
+      text: body.text || '',
+      attachments: [],
+      timestamp: new Date().toISOString()
+    };
+
+    if (!this.chats.has(chatId)) {
+      this.chats.set(chatId, []);
+    }
+    this.chats.get(chatId).push(message);
+    this.log('debug', `Fake WhatsApp Web: message ${message.id} from ${chatId}`);
+
+    return message;
+  }
+
+  /**
+   * Advance a message to its next delivery status after ack_delay_ms
+   * @param {Object} message - Stored message
+   */
+  scheduleStatusUpdate(message) {
+    const finalStatus = this.options.read_receipts ? 'read' : 'delivered';
+    if (message.status === finalStatus) {
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      message.status = STATUS_PROGRESSION[STATUS_PROGRESSION.indexOf(message.status) + 1];
+      this.scheduleStatusUpdate(message);
+    }, this.options.ack_delay_ms);
+
+    this.timers.add(timer);
+  }
+
+  /**
+   * Serve files from the public directory; unknown paths get the app shell
+   */
+  async serveStatic(pathname, res) {
+    const ext = path.extname(pathname);
+    const fileName = CONTENT_TYPES[ext] ? path.basename(pathname) : 'index.html';
+
+    try {
+      const content = await fs.readFile(path.join(PUBLIC_DIR, fileName));
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(fileName)] });
+      res.end(content);
+    } catch {
+      this.sendJson(res, 404, { error: 'Not found' });
+    }
+  }
+
+  sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data));
+  }
+
+  log(level, message) {
+    if (this.logger) {
+      this.logger[level](message);
+    }
+  }
+}
+
+/**
+ * Reduce a phone number to the digits WhatsApp uses as chat id
+ * @param {string} phone - Phone number
+ * @returns {string} Chat id
+ */
+function normalizeChatId(phone) {
+  return String(phone).trim().replace(/^\+/, '');
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  const raw = Buffer.concat(chunks).toString('utf-8');
+  return raw ? JSON.parse(raw) : {};
+}
+
+/**
+ * Start a fake WhatsApp Web server
+ * @param {Object} options - Server options (see FakeWhatsAppServer)
+ * @param {winston.Logger} logger - Optional logger instance
+ * @returns {Promise<FakeWhatsAppServer>} Running server
+ */
+export async function startFakeWhatsAppServer(options = {}, logger = null) {
+  const server = new FakeWhatsAppServer(options, logger);
+  await server.start();
+  return server;
+}
+
+// Run standalone: node src/fakeWhatsApp/server.js [port]
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const port = parseInt(process.argv[2] || '3210', 10);
+  const consoleLogger = {
+    debug: () => {},
+    info: (msg) => console.log(msg),
+    warn: (msg) => console.warn(msg),
+    error: (msg) => console.error(msg)
+  };
+
+  startFakeWhatsAppServer({ port, require_login: process.argv.includes('--require-login') }, consoleLogger)
+    .then((server) => {
+      const shutdown = async () => {
+        await server.stop();
+        process.exit(0);
+      };
+      process.on('SIGINT', shutdown);
+      process.on('SIGTERM', shutdown);
+    })
+    .catch((error) => {
+      console.error(`Failed to start fake WhatsApp Web: ${error.message}`);
+      process.exit(1);
+    });
+}
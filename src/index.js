@@ -3,21 +3,66 @@
 import YAML from 'yaml';
 import fs from 'fs/promises';
 import path from 'path';
-import { parseContactsCSV, validateContacts, getAvailableFields } from './csvParser.js';
-import { loadTemplate, renderTemplate, validateTemplate, extractPlaceholders } from './templateRenderer.js';
+import {
+  validateContacts,
+  getAvailableFields,
+  writeDuplicatesReport,
+  writeCheckedContacts,
+  DUPLICATE_POLICIES
+} from './csvParser.js';
+import { loadContacts, CONTACT_FORMATS } from './contactsLoader.js';
+import { toE164, isSupportedCountry, COUNTRIES } from './phoneNumbers.js';
+import {
+  renderTemplate,
+  validateTemplate,
+  getRequiredFields,
+  findEmptyFields
+} from './templateRenderer.js';
 import { createLogger } from './logger.js';
 import { StateTracker } from './stateTracker.js';
-import { retryWithBackoff, RateLimiter } from './retryLogic.js';
-import { WhatsAppAutomation } from './whatsappAutomation.js';
+import { SuppressionList, getSuppressionFilePath } from './suppressionList.js';
+import { retryWithBackoff, RateLimiter, sleep } from './retryLogic.js';
+import { createDriver } from './driver.js';
+import { INPUT_STRATEGIES } from './whatsappAutomation.js';
+import { DELIVERY_STATUSES, findEntryMessages, getReceiptUpdate } from './receipts.js';
+import { assignReplies, mergeReplies, listReplies, exportReplies } from './replies.js';
+import {
+  DEFAULT_ATTENDEE_TAG,
+  validateReplyRules,
+  compileReplyRules,
+  classifyContacts,
+  listAttendees,
+  exportAttendees
+} from './replyRules.js';
+import { exportPreview, PREVIEW_FORMATS } from './previewExporter.js';
+import { loadVariants, assignVariants, validateVariantsConfig } from './variants.js';
+import { localize, isLocaleMap, validateLocaleConfig } from './locales.js';
+import { resolveAttachment, validateAttachmentsConfig, findMissingAttachments } from './attachments.js';
+import {
+  validateSequenceConfig,
+  getSequenceTemplates,
+  getStepTemplates,
+  getSequenceAttachments,
+  resolveSequence,
+  getStepKey,
+  describeStep
+} from './sequences.js';
+import { parseCli, getUsage, EXIT_CODES } from './cli.js';
+import { ConfigError, InvalidNumberError, SessionLostError } from './errors.js';
 
 /**
  * Main application class
  */
 class WhatsAppAutomationApp {
-  constructor() {
+  /**
+   * @param {Object} options - Command-line options (see parseCli)
+   */
+  constructor(options = {}) {
+    this.options = options;
     this.config = null;
     this.logger = null;
     this.stateTracker = null;
+    this.suppressionList = null;
     this.rateLimiter = null;
     this.whatsapp = null;
     this.dryRun = false;
@@ -30,16 +75,117 @@ class WhatsAppAutomationApp {
     try {
       const configFile = await fs.readFile(configPath, 'utf-8');
       this.config = YAML.parse(configFile);
-      return this.config;
     } catch (error) {
-      throw new Error(`Failed to load config from ${configPath}: ${error.message}`);
+      throw new ConfigError(`Failed to load config from ${configPath}: ${error.message}`);
+    }
+
+    if (!this.config || typeof this.config !== 'object') {
+      throw new ConfigError(`Config file ${configPath} is empty or not a YAML mapping`);
+    }
+
+    // Command-line overrides
+    if (this.options.csv) this.config.contacts_csv = this.options.csv;
+    if (this.options.template) {
+      this.config.message_template = this.options.template;
+      delete this.config.message_variants;
+    }
+    if (this.options.image) this.config.image_path = this.options.image;
+    if (this.options.campaign) this.config.campaign = this.options.campaign;
+
+    if (this.config.message_variants) {
+      const problems = validateVariantsConfig(this.config.message_variants);
+      if (problems.length > 0) {
+        throw new ConfigError(problems.join('; '));
+      }
+    }
+
+    if (this.config.sequence) {
+      const problems = validateSequenceConfig(this.config.sequence);
+      if (problems.length > 0) {
+        throw new ConfigError(problems.join('; '));
+      }
+    }
+
+    if (this.config.reply_rules) {
+      const problems = validateReplyRules(this.config.reply_rules);
+      if (problems.length > 0) {
+        throw new ConfigError(problems.join('; '));
+      }
+    }
+
+    const attendees = this.config.attendees;
+    if (attendees !== undefined && (typeof attendees !== 'object' || attendees === null || Array.isArray(attendees))) {
+      throw new ConfigError('attendees must be a mapping with tag and output');
+    }
+    if (attendees && attendees.output && path.extname(attendees.output).toLowerCase() !== '.csv') {
+      throw new ConfigError(`Unsupported attendees.output "${attendees.output}". Use a .csv file`);
+    }
+
+    const localeProblems = validateLocaleConfig(this.config);
+    if (localeProblems.length > 0) {
+      throw new ConfigError(localeProblems.join('; '));
+    }
+    this.config.locale = this.config.locale || {};
+
+    this.config.template_validation = this.config.template_validation || {};
+    if (this.options.strict) this.config.template_validation.strict = true;
+
+    if (!this.config.contacts_csv) {
+      throw new ConfigError('contacts_csv is not set (use config.yaml or --csv)');
+    }
+
+    if (this.config.default_country && !isSupportedCountry(this.config.default_country)) {
+      throw new ConfigError(
+        `Unsupported default_country "${this.config.default_country}". Supported: ${Object.keys(COUNTRIES).join(', ')}`
+      );
+    }
+
+    this.config.contacts = this.config.contacts || {};
+    const duplicatePolicy = this.config.contacts.duplicates;
+    if (duplicatePolicy && !DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+      throw new ConfigError(
+        `Unknown contacts.duplicates policy "${duplicatePolicy}". Expected one of: ${DUPLICATE_POLICIES.join(', ')}`
+      );
+    }
+
+    const format = this.config.contacts.format;
+    if (format && !CONTACT_FORMATS.includes(format)) {
+      throw new ConfigError(
+        `Unknown contacts.format "${format}". Expected one of: ${CONTACT_FORMATS.join(', ')}`
+      );
     }
+
+    const { encoding, bom, columns } = this.config.contacts;
+    if (encoding) {
+      try {
+        new TextDecoder(encoding);
+      } catch {
+        throw new ConfigError(`Unsupported contacts.encoding "${encoding}"`);
+      }
+    }
+    if (bom && !['auto', 'strip', 'keep'].includes(bom)) {
+      throw new ConfigError(`Unknown contacts.bom "${bom}". Expected one of: auto, strip, keep`);
+    }
+    if (columns && (typeof columns !== 'object' || Array.isArray(columns))) {
+      throw new ConfigError('contacts.columns must map field names to source columns, e.g. phone: "Mobile"');
+    }
+
+    const inputStrategy = this.config.input && this.config.input.strategy;
+    if (inputStrategy && !INPUT_STRATEGIES.includes(inputStrategy)) {
+      throw new ConfigError(
+        `Unknown input.strategy "${inputStrategy}". Expected one of: ${INPUT_STRATEGIES.join(', ')}`
+      );
+    }
+
+    return this.config;
   }
 
   /**
    * Initialize all components
+   * @param {string} configPath - Path to config file
+   * @param {boolean} needsDriver - Whether the command talks to WhatsApp
    */
-  async initialize(configPath = './config.yaml') {
+  async initialize(configPath = './config.yaml', needsDriver = true) {
     // Load configuration
     await this.loadConfig(configPath);
 
@@ -48,7 +194,7 @@ class WhatsAppAutomationApp {
     this.logger.info('=== WhatsApp Automation Tool Started ===');
 
     // Check for dry-run mode
-    if (process.argv.includes('--dry-run')) {
+    if (this.options.dryRun) {
       this.dryRun = true;
       this.logger.warn('DRY RUN MODE - No messages will be sent');
     }
@@ -57,65 +203,441 @@ class WhatsAppAutomationApp {
     this.stateTracker = new StateTracker(this.config.state_file, this.logger);
     await this.stateTracker.load();
 
+    // Initialize do-not-contact list
+    this.suppressionList = new SuppressionList(getSuppressionFilePath(this.config), this.logger, {
+      defaultCountry: this.config.default_country
+    });
+    await this.suppressionList.load();
+
     // Initialize rate limiter
     this.rateLimiter = new RateLimiter(this.config.rate_limit, this.logger);
 
-    // Initialize WhatsApp automation (only if not dry run)
-    if (!this.dryRun) {
-      this.whatsapp = new WhatsAppAutomation(this.config, this.logger);
+    // Initialize WhatsApp driver (only if sending for real)
+    if (needsDriver && !this.dryRun) {
+      this.whatsapp = createDriver(this.config, this.logger);
     }
 
     this.logger.info('Initialization complete');
   }
 
   /**
-   * Process contacts and send messages
+   * Log collapsed duplicate rows and write the optional CSV report
+   * @param {Array<Object>} duplicates - Duplicates returned by validateContacts
    */
-  async run() {
+  async reportDuplicates(duplicates) {
+    this.logger.warn(`Found ${duplicates.length} phone numbers on more than one row:`);
+    duplicates.forEach(({ phone, rows, keptRow, policy, conflicts }) => {
+      const outcome = keptRow === null ? 'all rejected' : `kept row ${keptRow}`;
+      this.logger.warn(`  ${phone}: rows ${rows.join(', ')} (${policy}, ${outcome})`);
+      conflicts.forEach(({ field, kept, dropped, row }) => {
+        this.logger.warn(`    ${field}: kept "${kept}", dropped "${dropped}" from row ${row}`);
+      });
+    });
+
+    const reportPath = this.config.contacts.duplicates_report;
+    if (reportPath) {
+      await writeDuplicatesReport(reportPath, duplicates);
+      this.logger.info(`Duplicates report written to ${reportPath}`);
+    }
+  }
+
+  /**
+   * Normalize the --only phone numbers the same way as contacts
+   * @returns {Set<string>} Phone numbers in E.164
+   */
+  getOnlyPhones() {
+    return new Set(this.options.only.map(phone =>
+      toE164(phone, { defaultCountry: this.config.default_country }) || phone
+    ));
+  }
+
+  /**
+   * Load the contacts file and validate its rows, logging invalid and duplicate rows
+   * @returns {Promise<Object>} { valid, invalid, duplicates, rows } (see validateContacts)
+   */
+  async loadContactList() {
+    // Load and parse CSV
+    this.logger.info(`Loading contacts from ${this.config.contacts_csv}`);
     try {
-      // Load and parse CSV
-      this.logger.info(`Loading contacts from ${this.config.contacts_csv}`);
-      const contacts = await parseContactsCSV(this.config.contacts_csv);
-      this.logger.info(`Loaded ${contacts.length} contacts`);
-
-      // Validate contacts
-      const { valid, invalid } = validateContacts(contacts);
-
-      if (invalid.length > 0) {
-        this.logger.warn(`Found ${invalid.length} invalid contacts:`);
-        invalid.forEach(({ index, reason }) => {
-          this.logger.warn(`  Row ${index}: ${reason}`);
-        });
-      }
+      await fs.access(this.config.contacts_csv);
+    } catch {
+      throw new ConfigError(`Contacts file not found: ${this.config.contacts_csv}`);
+    }
+    const { contacts, format, firstRow } = await loadContacts(
+      this.config.contacts_csv,
+      this.config.contacts
+    );
+    this.logger.info(`Loaded ${contacts.length} contacts (${format})`);
 
-      if (valid.length === 0) {
-        this.logger.error('No valid contacts found');
-        return;
-      }
+    // Validate contacts
+    const { valid, invalid, duplicates, rows } = validateContacts(contacts, {
+      defaultCountry: this.config.default_country,
+      duplicatePolicy: this.config.contacts.duplicates,
+      firstRow
+    });
 
-      this.logger.info(`Processing ${valid.length} valid contacts`);
+    if (invalid.length > 0) {
+      this.logger.warn(`Found ${invalid.length} invalid contacts:`);
+      invalid.forEach(({ index, reason }) => {
+        this.logger.warn(`  Row ${index}: ${reason}`);
+      });
+    }
+
+    if (duplicates.length > 0) {
+      await this.reportDuplicates(duplicates);
+    }
+
+    return { valid, invalid, duplicates, rows };
+  }
 
-      // Load message template (optional if only sending images)
-      let template = '';
-      if (this.config.message_template && this.config.message_template.trim() !== '') {
-        this.logger.info(`Loading message template from ${this.config.message_template}`);
-        template = await loadTemplate(this.config.message_template);
-      } else {
-        this.logger.info('No message template specified (image-only mode)');
-        template = '';
+  /**
+   * Restrict contacts to the --only phones, warning about ones not in the list
+   * @param {Array<Object>} contacts - Valid contacts
+   * @returns {Array<Object>} Matching contacts (all of them without --only)
+   */
+  applyOnly(contacts) {
+    if (!this.options.only || this.options.only.length === 0) {
+      return contacts;
+    }
+
+    const only = this.getOnlyPhones();
+    const matching = contacts.filter(contact => only.has(contact.phone));
+
+    const found = new Set(matching.map(contact => contact.phone));
+    only.forEach(phone => {
+      if (!found.has(phone)) {
+        this.logger.warn(`--only: ${phone} is not in the contacts file`);
       }
+    });
+    this.logger.info(`--only: ${matching.length} matching contacts`);
+    return matching;
+  }
 
-      // Validate template
-      const availableFields = getAvailableFields(valid);
-      const templateValidation = validateTemplate(template, availableFields);
+  /**
+   * Load contacts and template, validate them and apply --only
+   * @returns {Promise<Object>} Valid/invalid contacts, template and validation result
+   */
+  async loadCampaign() {
+    let { valid, invalid, duplicates, rows } = await this.loadContactList();
 
-      if (!templateValidation.valid) {
+    // Load message templates (optional if only sending images)
+    let variants;
+    try {
+      variants = await loadVariants(this.config);
+    } catch (error) {
+      throw new ConfigError(error.message);
+    }
+
+    if (variants[0].path === null) {
+      this.logger.info('No message template specified (image-only mode)');
+    } else {
+      variants.forEach(variant => {
+        this.logger.info(`Loaded message template from ${variant.path}`);
+      });
+    }
+
+    // Assign variants before --only, so a contact gets the same one either way
+    const strategy = this.config.message_variants && this.config.message_variants.strategy;
+    const recorded = this.stateTracker.getRecordedVariants(this.config.campaign);
+    const assignments = assignVariants(valid, variants, strategy, recorded);
+    if (variants.length > 1) {
+      this.logger.info(`${variants.length} message variants (${strategy || 'random'}): ${variants.map(v => v.name).join(', ')}`);
+    }
+
+    // Restrict to --only phones
+    valid = this.applyOnly(valid);
+
+    const suppressed = valid.filter(contact => this.suppressionList.has(contact.phone));
+    if (suppressed.length > 0) {
+      this.logger.info(`${suppressed.length} contacts are on the suppression list and will not be messaged`);
+    }
+
+    // Validate templates; syntax errors would fail every contact, so stop before the run starts
+    const availableFields = getAvailableFields(valid);
+    const templateValidation = this.validateTexts(
+      [
+        ...variants.map(variant => [`Template ${variant.path}`, variant.template]),
+        ...(this.config.sequence ? getSequenceTemplates(this.config.sequence) : [])
+      ],
+      availableFields
+    );
+
+    // In sequence mode files and captions come from the steps
+    if (this.config.sequence && (this.config.image_path || this.config.image_caption)) {
+      this.logger.warn('image_path and image_caption are not used with sequence; add an attachment step instead');
+    }
+
+    let captionValidation = null;
+    if (this.config.image_caption && !this.config.sequence) {
+      captionValidation = this.validateTexts([['image_caption', this.config.image_caption]], availableFields);
+      if (captionValidation.missingFields.length > 0) {
         this.logger.warn(
-          `Template contains placeholders not found in CSV: ${templateValidation.missingFields.join(', ')}`
+          `image_caption contains placeholders not found in CSV: ${captionValidation.missingFields.join(', ')}`
         );
       }
+    }
+
+    [templateValidation, captionValidation].filter(Boolean).forEach(validation => {
+      validation.warnings.forEach(warning => this.logger.warn(warning));
+      if (validation.literals.length > 0) {
+        this.logger.info(`Sent as written (no such column): ${validation.literals.join(', ')}`);
+      }
+    });
+
+    if (templateValidation.missingFields.length > 0) {
+      this.logger.warn(
+        `Template${variants.length > 1 ? 's contain' : ' contains'} placeholders not found in CSV: ${templateValidation.missingFields.join(', ')}`
+      );
+    }
+
+    this.logger.info(`Template placeholders: ${templateValidation.placeholders.join(', ')}`);
+
+    if (variants.some(variant => isLocaleMap(variant.template)) || isLocaleMap(this.config.image_caption)) {
+      this.logLocales(valid, variants, assignments);
+    }
+
+    // Attachments: a missing file would fail that contact mid-run, so check them all now
+    const sendable = valid.filter(contact => !this.suppressionList.has(contact.phone));
+    const attachmentProblems = validateAttachmentsConfig(this.config, valid);
+    if (attachmentProblems.length > 0) {
+      throw new ConfigError(attachmentProblems.join('; '));
+    }
+    const attachments = new Map(sendable.map(contact => [
+      contact.phone,
+      this.config.sequence ? getSequenceAttachments(this.config, contact) : resolveAttachment(contact, this.config)
+    ]));
+    await this.checkAttachments(attachments, rows);
+
+    // Strict mode: refuse to start if any message would go out broken
+    if (this.config.template_validation.strict) {
+      this.checkStrict(sendable, rows, assignments, attachments, templateValidation, captionValidation);
+    }
+
+    return { valid, invalid, duplicates, suppressed, rows, variants, assignments, attachments, templateValidation };
+  }
+
+  /**
+   * Log which files will be attached, and abort listing every row whose file is missing
+   * @param {Map<string, Object|Array<Object>|null>} attachments - Phone -> { path, type } (a list in sequence mode)
+   * @param {Map<string, number>} rows - Phone -> source row number
+   * @throws {ConfigError} If any file is missing
+   */
+  async checkAttachments(attachments, rows) {
+    const files = new Map();
+    attachments.forEach(value => {
+      [].concat(value || []).forEach(attachment => files.set(attachment.path, attachment.type));
+    });
+
+    const types = new Set(files.values());
+    if (files.size === 1) {
+      const [[filePath, type]] = files;
+      this.logger.info(`Attachment (${type}): ${filePath}`);
+    } else if (files.size > 1) {
+      this.logger.info(`Attachments: ${files.size} different files (${[...types].join(', ')})`);
+    }
+
+    if (types.has('audio') && this.config.image_caption) {
+      this.logger.warn('WhatsApp shows no caption on audio messages; the caption is sent as a separate message');
+    }
+
+    const missing = await findMissingAttachments(attachments);
+    if (missing.length === 0) {
+      return;
+    }
+
+    const contactCount = new Set(missing.map(({ phone }) => phone)).size;
+    this.logger.error(`=== ${contactCount} contacts have a missing attachment ===`);
+    missing.forEach(({ phone, path: filePath }) => {
+      this.logger.error(`  Row ${rows.get(phone)} (${phone}): file not found: ${filePath}`);
+    });
+
+    throw new ConfigError(`Attachment files not found for ${contactCount} contacts`);
+  }
+
+  /**
+   * Validate templates (each may be a locale map) and combine the results
+   * @param {Array<Array>} entries - [label, template or locale map] pairs
+   * @param {Array<string>} availableFields - Contact fields
+   * @returns {Object} Combined validation result
+   * @throws {ConfigError} On template syntax errors
+   */
+  validateTexts(entries, availableFields) {
+    const combined = { valid: true, placeholders: [], missingFields: [], literals: [], errors: [], warnings: [] };
+
+    entries.forEach(([label, value]) => {
+      const texts = isLocaleMap(value)
+        ? Object.entries(value).map(([locale, text]) => [`${label} (${locale})`, text])
+        : [[label, value]];
+
+      texts.forEach(([textLabel, text]) => {
+        const validation = validateTemplate(text, availableFields);
+        if (validation.errors.length > 0) {
+          throw new ConfigError(`${textLabel}: ${validation.errors.join('; ')}`);
+        }
+
+        combined.valid = combined.valid && validation.valid;
+        combined.placeholders = [...new Set([...combined.placeholders, ...validation.placeholders])];
+        combined.missingFields = [...new Set([...combined.missingFields, ...validation.missingFields])];
+        combined.literals = [...new Set([...combined.literals, ...validation.literals])];
+        combined.warnings.push(...validation.warnings.map(warning => `${textLabel}: ${warning}`));
+      });
+    });
+
+    return combined;
+  }
+
+  /**
+   * Pick the contact's language version of a template or caption
+   * @param {string|Object} value - Text or locale map
+   * @param {Object} contact - Contact object
+   * @returns {string} Text for this contact
+   */
+  localize(value, contact) {
+    return localize(value, contact, this.config.locale).text;
+  }
+
+  /**
+   * Log how many contacts get each language, and which fell back
+   * @param {Array<Object>} contacts - Contacts
+   * @param {Array<Object>} variants - Message variants
+   * @param {Map<string, Object>} assignments - Phone -> variant
+   */
+  logLocales(contacts, variants, assignments) {
+    const counts = new Map();
+
+    contacts.forEach(contact => {
+      const value = isLocaleMap(assignments.get(contact.phone).template)
+        ? assignments.get(contact.phone).template
+        : this.config.image_caption;
+      const { locale, matched } = localize(value, contact, this.config.locale);
+      const key = matched ? locale : `${locale} (fallback)`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+
+    const summary = Array.from(counts.entries()).map(([locale, count]) => `${locale}: ${count}`).join(', ');
+    this.logger.info(`Languages: ${summary}`);
+  }
+
+  /**
+   * Strict template validation: log a per-row report of contacts whose message
+   * or caption would have gaps, and abort if there are any
+   * @param {Array<Object>} contacts - Contacts that would be messaged
+   * @param {Map<string, number>} rows - Phone -> source row number
+   * @param {Map<string, Object>} assignments - Phone -> message variant
+   * @param {Map<string, Object|null>} attachments - Phone -> attached file
+   * @param {Object} templateValidation - Combined validateTemplate result for the templates
+   * @param {Object|null} captionValidation - validateTemplate result for image_caption
+   */
+  checkStrict(contacts, rows, assignments, attachments, templateValidation, captionValidation) {
+    const problems = [];
+    const unknownFields = new Set();
+
+    [['Template', templateValidation], ['image_caption', captionValidation]].forEach(([name, validation]) => {
+      if (validation && validation.missingFields.length > 0) {
+        problems.push(`${name} uses fields that are not in the contacts file: ${validation.missingFields.join(', ')}`);
+        validation.missingFields.forEach(field => unknownFields.add(field.toLowerCase()));
+      }
+      // A legacy {field} token with no such column is sent as written, so it leaves no gap
+      if (validation) {
+        validation.literals.forEach(token => unknownFields.add(token.replace(/^\$?\{|\}$/g, '').toLowerCase()));
+      }
+    });
+
+    // Unknown fields are reported once above instead of on every row
+    const requiredFields = text => getRequiredFields(text).filter(field => !unknownFields.has(field.toLowerCase()));
+    const fieldsByText = new Map();
+    const fieldsFor = text => {
+      if (!fieldsByText.has(text)) {
+        fieldsByText.set(text, requiredFields(text));
+      }
+      return fieldsByText.get(text);
+    };
+
+    const brokenRows = [];
+    contacts.forEach(contact => {
+      const issues = [];
 
-      this.logger.info(`Template placeholders: ${templateValidation.placeholders.join(', ')}`);
+      const template = this.localize(assignments.get(contact.phone).template, contact);
+      const texts = this.config.sequence
+        ? getStepTemplates(this.config, contact, template).map(entry => [entry.label, entry.template])
+        : [['message', template], ['caption', this.config.image_caption ? this.localize(this.config.image_caption, contact) : '']];
+
+      texts.forEach(([label, text]) => {
+        const emptyFields = findEmptyFields(fieldsFor(text), contact);
+        if (emptyFields.length > 0) {
+          issues.push(`${label}: empty ${emptyFields.join(', ')}`);
+        }
+      });
+
+      const hasAttachment = [].concat(attachments.get(contact.phone) || []).length > 0;
+      const hasText = texts.some(([label, text]) => label !== 'caption' && renderTemplate(text, contact).trim() !== '');
+      if (!hasAttachment && !hasText) {
+        issues.push('message is empty');
+      }
+
+      if (issues.length > 0) {
+        brokenRows.push({ row: rows.get(contact.phone), phone: contact.phone, issues });
+      }
+    });
+
+    if (problems.length === 0 && brokenRows.length === 0) {
+      this.logger.info('Strict template validation passed');
+      return;
+    }
+
+    this.logger.error('=== Strict template validation failed ===');
+    problems.forEach(problem => this.logger.error(problem));
+    if (brokenRows.length > 0) {
+      this.logger.error(`${brokenRows.length} contacts would get broken messages:`);
+      brokenRows.forEach(({ row, phone, issues }) => {
+        this.logger.error(`  Row ${row} (${phone}): ${issues.join('; ')}`);
+      });
+    }
+
+    throw new ConfigError(
+      `Strict template validation failed: ${problems.length} template problems, ${brokenRows.length} broken rows`
+    );
+  }
+
+  /**
+   * Campaign and variant recorded with each sent or failed message
+   * @param {Object} variant - Assigned message variant
+   * @returns {Object} Metadata for the state tracker
+   */
+  getCampaignMetadata(variant) {
+    const metadata = { variant: variant.name };
+    if (this.config.campaign) {
+      metadata.campaign = this.config.campaign;
+    }
+    return metadata;
+  }
+
+  /**
+   * Process contacts and send messages
+   * @returns {Promise<Object>} Run statistics
+   */
+  async run() {
+    const stats = {
+      total: 0,
+      sent: 0,
+      skipped: 0,
+      suppressed: 0,
+      notOnWhatsApp: 0,
+      failed: 0
+    };
+
+    try {
+      const { valid, variants, assignments, attachments } = await this.loadCampaign();
+
+      if (valid.length === 0) {
+        this.logger.error('No valid contacts found');
+        return stats;
+      }
+
+      this.logger.info(`Processing ${valid.length} valid contacts`);
+      if (this.options.limit) {
+        this.logger.info(`Limit: at most ${this.options.limit} contacts will be sent to`);
+      }
 
       // Initialize WhatsApp (if not dry run)
       if (!this.dryRun) {
@@ -123,22 +645,58 @@ class WhatsAppAutomationApp {
       }
 
       // Process each contact
-      const stats = {
-        total: valid.length,
-        sent: 0,
-        skipped: 0,
-        failed: 0
-      };
+      stats.total = valid.length;
+      const sessionRetried = new Set();
 
       for (let i = 0; i < valid.length; i++) {
         const contact = valid[i];
         const progress = `[${i + 1}/${valid.length}]`;
 
+        // Stop once --limit contacts have been attempted
+        if (this.options.limit && stats.sent + stats.failed >= this.options.limit) {
+          this.logger.info(`Reached --limit of ${this.options.limit}, stopping`);
+          break;
+        }
+
         this.logger.info(`${progress} Processing contact: ${contact.phone}`);
 
+        // Never message numbers that asked to be removed
+        if (this.suppressionList.has(contact.phone)) {
+          const entry = this.suppressionList.get(contact.phone);
+          this.logger.info(`${progress} Skipping ${contact.phone} - on suppression list (${entry.reason})`);
+          stats.suppressed++;
+          continue;
+        }
+
+        if (this.isKnownInvalid(contact.phone)) {
+          const check = this.stateTracker.getNumberCheck(contact.phone);
+          this.logger.info(`${progress} Skipping ${contact.phone} - not on WhatsApp (checked ${check.checkedAt})`);
+          stats.notOnWhatsApp++;
+          continue;
+        }
+
+        // Session health check: pause for a re-login instead of failing every remaining contact
+        if (!this.dryRun) {
+          await this.whatsapp.ensureLoggedIn();
+        }
+
+        const variant = assignments.get(contact.phone);
+        const attachment = attachments.get(contact.phone);
+        let message = null;
+
         try {
           // Render message for this contact
-          const message = renderTemplate(template, contact);
+          message = renderTemplate(this.localize(variant.template, contact), contact);
+          if (variants.length > 1) {
+            this.logger.debug(`${progress} Variant: ${variant.name}`);
+          }
+
+          // Sequences are tracked and sent step by step
+          if (this.config.sequence) {
+            const outcome = await this.sendSequence(contact, variant, message, progress);
+            stats[outcome]++;
+            continue;
+          }
 
           // Check if already sent
           if (this.stateTracker.wasMessageSent(contact.phone, message)) {
@@ -150,14 +708,21 @@ class WhatsAppAutomationApp {
             continue;
           }
 
+          // Render caption if provided
+          const renderedCaption = this.config.image_caption
+            ? renderTemplate(this.localize(this.config.image_caption, contact), contact)
+            : null;
+
           // Dry run mode - just log what would be sent
           if (this.dryRun) {
             this.logger.info(`${progress} [DRY RUN] Would send to ${contact.phone}:`);
-            this.logger.info(`Message: ${message.substring(0, 100)}${message.length > 100 ? '...' : ''}`);
-            if (this.config.image_path) {
-              this.logger.info(`Image: ${this.config.image_path}`);
-              if (this.config.image_caption) {
-                this.logger.info(`Caption: ${this.config.image_caption}`);
+            if (message.trim().length > 0) {
+              this.logger.info(`Message:\n${message}`);
+            }
+            if (attachment) {
+              this.logger.info(`Attachment (${attachment.type}): ${attachment.path}`);
+              if (renderedCaption) {
+                this.logger.info(`Caption:\n${renderedCaption}`);
               }
             }
             stats.sent++;
@@ -167,34 +732,39 @@ class WhatsAppAutomationApp {
           // Apply rate limiting
           await this.rateLimiter.wait();
 
-          // Render caption if provided
-          const renderedCaption = this.config.image_caption
-            ? renderTemplate(this.config.image_caption, contact)
-            : null;
-
           // Send message with retry logic
-          await retryWithBackoff(
-            async () => {
-              await this.whatsapp.sendMessage(
-                contact.phone,
-                message,
-                this.config.image_path || null,
-                renderedCaption
-              );
-            },
+          const delivery = await retryWithBackoff(
+            () => this.whatsapp.sendMessage(
+              contact.phone,
+              message,
+              attachment,
+              renderedCaption
+            ),
             this.config.retry,
             this.logger
           );
 
           // Mark as sent
           await this.stateTracker.markAsSent(contact.phone, message, {
-            contact: contact
+            contact: contact,
+            deliveryStatus: delivery.status,
+            messageIds: delivery.messageIds,
+            ...this.getCampaignMetadata(variant)
           });
 
           stats.sent++;
-          this.logger.info(`${progress} Successfully sent to ${contact.phone}`);
+          this.logger.info(`${progress} Successfully sent to ${contact.phone} (${delivery.status})`);
 
         } catch (error) {
+          // Logged out mid-send: pause for a re-login, then try this contact once more
+          if (error instanceof SessionLostError && !sessionRetried.has(contact.phone)) {
+            this.logger.warn(`${progress} ${error.message}`);
+            sessionRetried.add(contact.phone);
+            await this.whatsapp.ensureLoggedIn();
+            i--;
+            continue;
+          }
+
           stats.failed++;
           this.logger.error(
             `${progress} Failed to send to ${contact.phone}: ${error.message}`
@@ -205,6 +775,21 @@ class WhatsAppAutomationApp {
             await this.whatsapp.takeScreenshot(`error_${contact.phone}`);
           }
 
+          // Remember numbers without WhatsApp so later runs skip them
+          if (error instanceof InvalidNumberError) {
+            await this.stateTracker.recordNumberCheck(contact.phone, 'invalid');
+          }
+
+          // Record the failure so reports can count it (rendering errors have no message;
+          // sequences record the failed step themselves)
+          if (!this.dryRun && message !== null && !this.config.sequence) {
+            await this.stateTracker.markAsFailed(contact.phone, message, {
+              contact: contact,
+              error: error.message,
+              ...this.getCampaignMetadata(variant)
+            });
+          }
+
           // Continue with next contact
           continue;
         }
@@ -215,6 +800,8 @@ class WhatsAppAutomationApp {
       this.logger.info(`Total contacts: ${stats.total}`);
       this.logger.info(`Messages sent: ${stats.sent}`);
       this.logger.info(`Skipped (duplicates): ${stats.skipped}`);
+      this.logger.info(`Suppressed (do not contact): ${stats.suppressed}`);
+      this.logger.info(`Skipped (not on WhatsApp): ${stats.notOnWhatsApp}`);
       this.logger.info(`Failed: ${stats.failed}`);
 
       // Print state tracker stats
@@ -223,6 +810,8 @@ class WhatsAppAutomationApp {
       this.logger.info(`Total tracked messages: ${stateStats.totalMessages}`);
       this.logger.info(`Unique contacts: ${stateStats.uniqueContacts}`);
 
+      return stats;
+
     } catch (error) {
       this.logger.error(`Application error: ${error.message}`);
       this.logger.error(error.stack);
@@ -230,10 +819,702 @@ class WhatsAppAutomationApp {
     }
   }
 
+  /**
+   * Whether a number is known not to be on WhatsApp (from check-numbers or a
+   * failed send) and should be skipped; number_check.skip_invalid: false
+   * sends to it anyway
+   * @param {string} phone - Phone number
+   * @returns {boolean} True if the number should be skipped
+   */
+  isKnownInvalid(phone) {
+    const numberCheck = this.config.number_check || {};
+    if (numberCheck.skip_invalid === false) {
+      return false;
+    }
+    const check = this.stateTracker.getNumberCheck(phone);
+    return Boolean(check && check.status === 'invalid');
+  }
+
+  /**
+   * Send a contact's sequence, skipping steps already in the state file so an
+   * interrupted sequence resumes at the first missing step
+   * @param {Object} contact - Contact object
+   * @param {Object} variant - Assigned message variant
+   * @param {string} message - Rendered campaign message
+   * @param {string} progress - Progress label for logs
+   * @returns {Promise<string>} 'sent' or 'skipped' (all steps already sent)
+   * @throws {Error} If a step fails (the failure is recorded against that step)
+   */
+  async sendSequence(contact, variant, message, progress) {
+    const total = this.config.sequence.steps.length;
+    const steps = resolveSequence(this.config, contact, message);
+    const pending = steps.filter(step => !this.stateTracker.wasMessageSent(contact.phone, getStepKey(step)));
+
+    if (pending.length === 0) {
+      this.logger.info(`${progress} Skipping ${contact.phone} - all ${steps.length} steps already sent`);
+      return 'skipped';
+    }
+    if (pending.length < steps.length) {
+      this.logger.info(`${progress} Resuming ${contact.phone} at step ${pending[0].number}/${total}`);
+    }
+
+    if (this.dryRun) {
+      this.logger.info(`${progress} [DRY RUN] Would send to ${contact.phone}:`);
+      pending.forEach(step => {
+        this.logger.info(`Step ${step.number}/${total} (${describeStep(step)}):`);
+        const text = step.type === 'text' ? step.text : step.caption;
+        if (text) {
+          this.logger.info(text);
+        }
+      });
+      return 'sent';
+    }
+
+    await this.rateLimiter.wait();
+    await retryWithBackoff(() => this.whatsapp.openChat(contact.phone), this.config.retry, this.logger);
+
+    for (let i = 0; i < pending.length; i++) {
+      const step = pending[i];
+      const key = getStepKey(step);
+      const metadata = {
+        contact: contact,
+        step: step.number,
+        steps: total,
+        ...this.getCampaignMetadata(variant)
+      };
+
+      if (i > 0 && step.gapMs > 0) {
+        await sleep(step.gapMs);
+      }
+
+      let delivery;
+      try {
+        delivery = await retryWithBackoff(() => this.whatsapp.sendStep(step), this.config.retry, this.logger);
+      } catch (error) {
+        // Not the step's fault: the run pauses for a re-login and retries the contact
+        if (error instanceof SessionLostError) {
+          throw error;
+        }
+        await this.stateTracker.markAsFailed(contact.phone, key, { ...metadata, error: error.message });
+        throw new Error(`step ${step.number}/${total} (${describeStep(step)}): ${error.message}`);
+      }
+
+      await this.stateTracker.markAsSent(contact.phone, key, {
+        ...metadata,
+        deliveryStatus: delivery.status,
+        messageIds: delivery.messageIds
+      });
+      this.logger.info(`${progress} Step ${step.number}/${total} sent (${describeStep(step)}, ${delivery.status})`);
+    }
+
+    this.logger.info(`${progress} Successfully sent to ${contact.phone}`);
+    return 'sent';
+  }
+
+  /**
+   * Validate config, contacts and template without sending anything
+   * @returns {Promise<Object>} Validation result
+   */
+  async validate() {
+    const { valid, invalid, duplicates, suppressed, templateValidation } = await this.loadCampaign();
+
+    this.logger.info('=== Validation ===');
+    this.logger.info(`Valid contacts: ${valid.length}`);
+    this.logger.info(`Invalid contacts: ${invalid.length}`);
+    this.logger.info(`Duplicate phone numbers: ${duplicates.length}`);
+    this.logger.info(`Suppressed contacts: ${suppressed.length}`);
+    const notOnWhatsApp = valid.filter(contact => this.isKnownInvalid(contact.phone));
+    if (notOnWhatsApp.length > 0) {
+      this.logger.info(`Not on WhatsApp (will be skipped): ${notOnWhatsApp.length}`);
+    }
+    this.logger.info(`Template: ${templateValidation.valid ? 'OK' : 'has unknown placeholders'}`);
+
+    return { valid, invalid, duplicates, suppressed, templateValidation };
+  }
+
+  /**
+   * Render the full message for each contact without sending, and write
+   * them to --output (.html or .csv) if given
+   * @returns {Promise<Array<Object>>} Rendered messages
+   */
+  async preview() {
+    const output = this.options.output;
+    if (output && !PREVIEW_FORMATS.includes(path.extname(output).toLowerCase())) {
+      throw new ConfigError(`--output must end in one of ${PREVIEW_FORMATS.join(', ')}, got "${output}"`);
+    }
+
+    const { valid, rows, variants, assignments, attachments } = await this.loadCampaign();
+    const sendable = valid.filter(contact => !this.suppressionList.has(contact.phone));
+    const contacts = this.options.limit ? sendable.slice(0, this.options.limit) : sendable;
+
+    const rendered = contacts.map((contact, i) => {
+      const variant = assignments.get(contact.phone);
+      const attachment = attachments.get(contact.phone);
+      const template = localize(variant.template, contact, this.config.locale);
+      const message = renderTemplate(template.text, contact);
+      const caption = attachment && this.config.image_caption && !this.config.sequence
+        ? renderTemplate(this.localize(this.config.image_caption, contact), contact)
+        : null;
+      const locale = template.locale || localize(this.config.image_caption, contact, this.config.locale).locale;
+
+      const variantLabel = variants.length > 1 ? ` (variant ${variant.name})` : '';
+      const localeLabel = locale ? ` [${locale}]` : '';
+      this.logger.info(`--- [${i + 1}/${contacts.length}] ${contact.phone}${variantLabel}${localeLabel} ---`);
+
+      if (this.config.sequence) {
+        const steps = resolveSequence(this.config, contact, message);
+        steps.forEach(step => {
+          const text = step.type === 'text' ? step.text : step.caption;
+          this.logger.info(`Step ${step.number} (${describeStep(step)})${text ? `:\n${text}` : ''}`);
+        });
+        return { row: rows.get(contact.phone), contact, variant: variant.name, locale, steps };
+      }
+
+      if (message.trim().length > 0) {
+        this.logger.info(`Message:\n${message}`);
+      }
+      if (attachment) {
+        this.logger.info(`Attachment (${attachment.type}): ${attachment.path}`);
+        if (caption) {
+          this.logger.info(`Caption:\n${caption}`);
+        }
+      }
+
+      return { row: rows.get(contact.phone), contact, variant: variant.name, locale, message, attachment, caption };
+    });
+
+    this.logger.info(`Previewed ${rendered.length} messages`);
+
+    if (output) {
+      await exportPreview(output, rendered, {
+        template: variants.map(variant => variant.path).filter(Boolean).join(', '),
+        image: this.config.image_path
+      });
+      this.logger.info(`Preview written to ${output}`);
+    }
+
+    return rendered;
+  }
+
+  /**
+   * Print state tracker statistics
+   * @returns {Object} Statistics
+   */
+  status() {
+    const stats = this.stateTracker.getStats();
+
+    this.logger.info('=== State Tracker Stats ===');
+    this.logger.info(`State file: ${this.config.state_file}`);
+    this.logger.info(`Total tracked messages: ${stats.totalMessages}`);
+    this.logger.info(`Unique contacts: ${stats.uniqueContacts}`);
+    this.logger.info(`Last updated: ${stats.lastUpdated || 'never'}`);
+
+    return stats;
+  }
+
+  /**
+   * Print sent messages, newest first
+   * @returns {Array<Object>} Listed entries
+   */
+  history() {
+    let entries = Object.values(this.stateTracker.state.sentMessages)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    if (this.options.only && this.options.only.length > 0) {
+      const only = this.getOnlyPhones();
+      entries = entries.filter(entry => only.has(entry.phone));
+    }
+
+    if (this.options.limit) {
+      entries = entries.slice(0, this.options.limit);
+    }
+
+    this.logger.info(`=== History (${entries.length} entries) ===`);
+    entries.forEach(entry => {
+      const name = entry.contact && entry.contact.name ? ` (${entry.contact.name})` : '';
+      const status = entry.deliveryStatus ? `  ${entry.deliveryStatus}` : '';
+      this.logger.info(`${entry.timestamp}  ${entry.phone}${name}  ${entry.messageHash.substring(0, 12)}${status}`);
+    });
+
+    return entries;
+  }
+
+  /**
+   * Print sent/failed/delivered/replied counts per campaign and variant
+   * @returns {Array<Object>} Report rows
+   */
+  report() {
+    const rows = this.stateTracker.getVariantStats(this.options.campaign || null);
+    const percent = (count, total) => (total > 0 ? `${Math.round(count / total * 100)}%` : '-');
+
+    this.logger.info(`=== Variant Report${this.options.campaign ? ` (${this.options.campaign})` : ''} ===`);
+    if (rows.length === 0) {
+      this.logger.info('No messages recorded yet');
+      return rows;
+    }
+
+    this.logger.info(
+      `${'Campaign'.padEnd(20)} ${'Variant'.padEnd(16)} ${'Sent'.padStart(6)} ${'Failed'.padStart(6)} `
+      + `${'Delivered'.padStart(10)} ${'Replied'.padStart(8)} ${'Reply rate'.padStart(10)}`
+    );
+    rows.forEach(row => {
+      this.logger.info(
+        `${(row.campaign || '-').padEnd(20)} ${(row.variant || '-').padEnd(16)} ${String(row.sent).padStart(6)} `
+        + `${String(row.failed).padStart(6)} ${String(row.delivered).padStart(10)} ${String(row.replied).padStart(8)} `
+        + `${percent(row.replied, row.sent).padStart(10)}`
+      );
+    });
+
+    return rows;
+  }
+
+  /**
+   * Revisit the chats of sent messages and record how far each message got
+   * (sent, delivered, read) from its ticks. Messages already read are not
+   * checked again.
+   * @returns {Promise<Object>} Summary: { chats, checked, notFound, failed, newlyDelivered, newlyRead, statuses }
+   */
+  async receipts() {
+    if (!this.whatsapp) {
+      throw new ConfigError('receipts needs WhatsApp and cannot run with --dry-run');
+    }
+
+    let entries = Object.values(this.stateTracker.state.sentMessages)
+      .filter(entry => !this.options.campaign || entry.campaign === this.options.campaign)
+      .filter(entry => entry.deliveryStatus !== 'read');
+
+    if (this.options.only && this.options.only.length > 0) {
+      const only = this.getOnlyPhones();
+      entries = entries.filter(entry => only.has(entry.phone));
+    }
+
+    let phones = [...new Set(entries.map(entry => entry.phone))];
+    if (this.options.limit) {
+      phones = phones.slice(0, this.options.limit);
+    }
+
+    const summary = {
+      chats: phones.length,
+      checked: 0,
+      notFound: 0,
+      failed: 0,
+      newlyDelivered: 0,
+      newlyRead: 0,
+      statuses: Object.fromEntries(DELIVERY_STATUSES.map(status => [status, 0]))
+    };
+
+    if (phones.length === 0) {
+      this.logger.info('No sent messages are waiting for receipts');
+      return summary;
+    }
+
+    this.logger.info(`Checking receipts in ${phones.length} chats`);
+    await this.whatsapp.initialize();
+
+    for (let i = 0; i < phones.length; i++) {
+      const phone = phones[i];
+      const progress = `[${i + 1}/${phones.length}]`;
+
+      // Pause for a re-login if WhatsApp logged out
+      await this.whatsapp.ensureLoggedIn();
+
+      try {
+        await this.rateLimiter.wait();
+        await retryWithBackoff(() => this.whatsapp.openChat(phone), this.config.retry, this.logger);
+        const messages = await this.whatsapp.getOutgoingMessages();
+        const checkedAt = new Date().toISOString();
+
+        for (const entry of entries.filter(candidate => candidate.phone === phone)) {
+          const label = entry.step ? `${phone} step ${entry.step}` : phone;
+          const found = findEntryMessages(entry, messages, (p, m) => this.stateTracker.generateHash(p, m));
+          if (found.length === 0) {
+            summary.notFound++;
+            this.logger.warn(`${progress} ${label}: message not found in the chat`);
+            continue;
+          }
+
+          const update = getReceiptUpdate(entry, found, checkedAt);
+          if (update.deliveredAt) summary.newlyDelivered++;
+          if (update.readAt) summary.newlyRead++;
+          summary.checked++;
+          summary.statuses[update.deliveryStatus]++;
+
+          await this.stateTracker.updateSentMessage(entry.messageHash, update);
+          this.logger.info(`${progress} ${label}: ${update.deliveryStatus}`);
+        }
+      } catch (error) {
+        summary.failed++;
+        this.logger.error(`${progress} Could not check ${phone}: ${error.message}`);
+      }
+    }
+
+    this.logger.info('=== Receipts ===');
+    this.logger.info(`Chats checked: ${summary.chats - summary.failed}/${summary.chats}`);
+    this.logger.info(`Messages checked: ${summary.checked}`);
+    DELIVERY_STATUSES.forEach(status => {
+      this.logger.info(`  ${status.padEnd(10)} ${summary.statuses[status]}`);
+    });
+    this.logger.info(`Newly delivered: ${summary.newlyDelivered}, newly read: ${summary.newlyRead}`);
+    if (summary.notFound > 0) {
+      this.logger.warn(`Not found in their chat: ${summary.notFound}`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Open the chat of each contact messaged (in --campaign, if given) and store
+   * the contact's messages sent after ours on the matching state entry
+   * @returns {Promise<Object>} Summary: { chats, failed, notFound, added, repliedContacts }
+   */
+  async replies() {
+    const output = this.options.output;
+    if (output && path.extname(output).toLowerCase() !== '.csv') {
+      throw new ConfigError(`Unsupported replies output "${output}". Use a .csv file`);
+    }
+    if (!this.whatsapp) {
+      throw new ConfigError('replies needs WhatsApp and cannot run with --dry-run');
+    }
+
+    const sentMessages = Object.values(this.stateTracker.state.sentMessages);
+    let entries = sentMessages
+      .filter(entry => !this.options.campaign || entry.campaign === this.options.campaign);
+
+    if (this.options.only && this.options.only.length > 0) {
+      const only = this.getOnlyPhones();
+      entries = entries.filter(entry => only.has(entry.phone));
+    }
+
+    let phones = [...new Set(entries.map(entry => entry.phone))];
+    if (this.options.limit) {
+      phones = phones.slice(0, this.options.limit);
+    }
+
+    const summary = { chats: phones.length, failed: 0, notFound: 0, added: 0, repliedContacts: 0 };
+
+    if (phones.length === 0) {
+      this.logger.info('No sent messages to collect replies for');
+      return summary;
+    }
+
+    this.logger.info(`Collecting replies from ${phones.length} chats`);
+    await this.whatsapp.initialize();
+
+    for (let i = 0; i < phones.length; i++) {
+      const phone = phones[i];
+      const progress = `[${i + 1}/${phones.length}]`;
+
+      // Pause for a re-login if WhatsApp logged out
+      await this.whatsapp.ensureLoggedIn();
+
+      try {
+        await this.rateLimiter.wait();
+        await retryWithBackoff(() => this.whatsapp.openChat(phone), this.config.retry, this.logger);
+        const messages = await this.whatsapp.getChatMessages();
+        const collectedAt = new Date().toISOString();
+
+        // Locate all of the contact's entries, so replies to other campaigns aren't misattributed
+        const { replies, notFound } = assignReplies(
+          sentMessages.filter(entry => entry.phone === phone),
+          messages,
+          (p, m) => this.stateTracker.generateHash(p, m)
+        );
+
+        let added = 0;
+        for (const entry of entries.filter(candidate => candidate.phone === phone)) {
+          if (notFound.includes(entry)) {
+            summary.notFound++;
+            this.logger.warn(`${progress} ${phone}${entry.step ? ` step ${entry.step}` : ''}: sent message not found in the chat`);
+            continue;
+          }
+
+          const merged = mergeReplies(entry.replies, replies.get(entry.messageHash), collectedAt);
+          if (merged.added > 0) {
+            await this.stateTracker.updateSentMessage(entry.messageHash, { replies: merged.replies, repliesCheckedAt: collectedAt });
+            merged.replies.slice(-merged.added).forEach(reply => {
+              this.logger.info(`${progress} ${phone}: "${reply.text}"`);
+            });
+          } else {
+            await this.stateTracker.updateSentMessage(entry.messageHash, { repliesCheckedAt: collectedAt });
+          }
+          added += merged.added;
+        }
+
+        summary.added += added;
+        if (added > 0) {
+          summary.repliedContacts++;
+        } else {
+          this.logger.info(`${progress} ${phone}: no new replies`);
+        }
+      } catch (error) {
+        summary.failed++;
+        this.logger.error(`${progress} Could not read ${phone}: ${error.message}`);
+      }
+    }
+
+    this.logger.info('=== Replies ===');
+    this.logger.info(`Chats read: ${summary.chats - summary.failed}/${summary.chats}`);
+    this.logger.info(`New replies: ${summary.added} from ${summary.repliedContacts} contacts`);
+    if (summary.notFound > 0) {
+      this.logger.warn(`Sent messages not found in their chat: ${summary.notFound}`);
+    }
+
+    if (output) {
+      const rows = listReplies(this.stateTracker.state.sentMessages, this.options.campaign || null);
+      await exportReplies(output, rows);
+      this.logger.info(`${rows.length} replies written to ${output}`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Tag the contacts who replied (in --campaign, if given) using reply_rules,
+   * add opt-outs to the suppression list and write the attendee CSV
+   * @param {string} output - Attendee CSV path (default attendees.output)
+   * @returns {Promise<Object>} Summary: { contacts, tags, optedOut, attendees }
+   */
+  async classify(output = null) {
+    if (!this.config.reply_rules) {
+      throw new ConfigError('reply_rules is not set in the config');
+    }
+    const attendeesConfig = this.config.attendees || {};
+    output = output || attendeesConfig.output;
+    if (output && path.extname(output).toLowerCase() !== '.csv') {
+      throw new ConfigError(`Unsupported attendees output "${output}". Use a .csv file`);
+    }
+
+    const rules = compileReplyRules(this.config.reply_rules);
+    const classified = classifyContacts(this.stateTracker.state.sentMessages, rules, this.options.campaign || null)
+      .filter(result => result.entries.some(entry => entry.replies && entry.replies.length > 0));
+
+    // Write the contact's tag (and the per-reply tags) back to their entries
+    const classifiedAt = new Date().toISOString();
+    const updates = new Map();
+    classified.forEach(result => {
+      result.entries.forEach(entry => {
+        updates.set(entry.messageHash, {
+          tags: result.tag ? [result.tag] : [],
+          replies: entry.replies || [],
+          classifiedAt
+        });
+      });
+    });
+    await this.stateTracker.updateSentMessages(updates);
+
+    const tags = {};
+    classified.filter(result => result.tag).forEach(result => {
+      tags[result.tag] = (tags[result.tag] || 0) + 1;
+    });
+
+    // Opted-out numbers are skipped by every later campaign
+    const optedOut = [];
+    for (const result of classified.filter(candidate => candidate.optOut)) {
+      if (this.suppressionList.has(result.phone)) {
+        continue;
+      }
+      await this.suppressionList.add([result.phone], {
+        reason: `replied "${result.reply.text}"`,
+        source: result.campaign ? `reply:${result.campaign}` : 'reply'
+      });
+      optedOut.push(result.phone);
+      this.logger.info(`${result.phone}: opted out ("${result.reply.text}")`);
+    }
+
+    const attendees = listAttendees(classified, attendeesConfig.tag || DEFAULT_ATTENDEE_TAG);
+
+    this.logger.info('=== Reply classification ===');
+    this.logger.info(`Contacts who replied: ${classified.length}`);
+    Object.entries(tags).forEach(([tag, count]) => {
+      this.logger.info(`  ${tag}: ${count}`);
+    });
+    this.logger.info(`  unclassified: ${classified.filter(result => !result.tag).length}`);
+    this.logger.info(`Added to suppression list: ${optedOut.length}`);
+
+    if (output) {
+      await exportAttendees(output, attendees);
+      this.logger.info(`${attendees.length} attendees written to ${output}`);
+    }
+
+    return { contacts: classified.length, tags, optedOut, attendees: attendees.length };
+  }
+
+  /**
+   * Check which contacts have a WhatsApp account without sending anything.
+   * Results are kept in the state file (numbers checked before are not
+   * checked again without --recheck) and the contacts are written to a CSV
+   * with a whatsapp_status column.
+   * @returns {Promise<Object>} Summary: { total, checked, known, valid, invalid, failed }
+   */
+  async checkNumbers() {
+    const contactsPath = path.parse(this.config.contacts_csv);
+    const output = this.options.output || path.join(contactsPath.dir, `${contactsPath.name}.checked.csv`);
+    if (path.extname(output).toLowerCase() !== '.csv') {
+      throw new ConfigError(`Unsupported check-numbers output "${output}". Use a .csv file`);
+    }
+    if (!this.whatsapp) {
+      throw new ConfigError('check-numbers needs WhatsApp and cannot run with --dry-run');
+    }
+
+    const { valid } = await this.loadContactList();
+    const contacts = this.applyOnly(valid);
+    const selected = this.options.limit ? contacts.slice(0, this.options.limit) : contacts;
+
+    const summary = { total: selected.length, checked: 0, known: 0, valid: 0, invalid: 0, failed: 0 };
+    const statuses = new Map();
+
+    const pending = selected.filter(contact => {
+      const check = this.options.recheck ? null : this.stateTracker.getNumberCheck(contact.phone);
+      if (check) {
+        statuses.set(contact.phone, check.status);
+        summary.known++;
+      }
+      return !check;
+    });
+    if (summary.known > 0) {
+      this.logger.info(`${summary.known} numbers were checked before (use --recheck to check them again)`);
+    }
+
+    if (pending.length > 0) {
+      this.logger.info(`Checking ${pending.length} numbers`);
+      await this.whatsapp.initialize();
+    }
+
+    for (let i = 0; i < pending.length; i++) {
+      const phone = pending[i].phone;
+      const progress = `[${i + 1}/${pending.length}]`;
+
+      // Pause for a re-login if WhatsApp logged out
+      await this.whatsapp.ensureLoggedIn();
+
+      try {
+        await this.rateLimiter.wait();
+        const status = await retryWithBackoff(() => this.whatsapp.checkNumber(phone), this.config.retry, this.logger);
+        await this.stateTracker.recordNumberCheck(phone, status);
+        statuses.set(phone, status);
+        summary.checked++;
+
+        if (status === 'invalid') {
+          this.logger.warn(`${progress} ${phone}: not on WhatsApp`);
+        } else {
+          this.logger.info(`${progress} ${phone}: on WhatsApp`);
+        }
+      } catch (error) {
+        summary.failed++;
+        this.logger.error(`${progress} Could not check ${phone}: ${error.message}`);
+      }
+    }
+
+    statuses.forEach(status => {
+      summary[status]++;
+    });
+
+    this.logger.info('=== Number check ===');
+    this.logger.info(`Numbers: ${summary.total} (${summary.checked} checked now, ${summary.known} known)`);
+    this.logger.info(`On WhatsApp: ${summary.valid}`);
+    this.logger.info(`Not on WhatsApp: ${summary.invalid}`);
+    if (summary.failed > 0) {
+      this.logger.warn(`Could not check: ${summary.failed}`);
+    }
+
+    await writeCheckedContacts(output, selected, statuses);
+    this.logger.info(`Contacts written to ${output}`);
+
+    return summary;
+  }
+
+  /**
+   * Remove old state entries
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async cleanup() {
+    const days = this.options.days || 30;
+    const removed = await this.stateTracker.cleanup(days);
+    this.logger.info(`Removed ${removed} entries older than ${days} days`);
+    return removed;
+  }
+
+  /**
+   * Manage the do-not-contact list: suppress list|add|remove|import
+   * @param {Array<string>} args - Action followed by phone numbers or a file path
+   * @returns {Promise<Object>} Action result
+   */
+  async suppress(args) {
+    const [action = 'list', ...values] = args;
+
+    switch (action) {
+      case 'list': {
+        const entries = this.suppressionList.list();
+        this.logger.info(`=== Suppression list (${entries.length} numbers) ===`);
+        this.logger.info(`File: ${this.suppressionList.filePath}`);
+        entries.forEach(entry => {
+          this.logger.info(`${entry.addedAt}  ${entry.phone}  ${entry.reason} (${entry.source})`);
+        });
+        return { entries };
+      }
+
+      case 'add': {
+        if (values.length === 0) {
+          throw new ConfigError('suppress add needs at least one phone number');
+        }
+        const result = await this.suppressionList.add(values, {
+          reason: this.options.reason,
+          source: 'cli'
+        });
+        this.logSuppressionResult(result);
+        return result;
+      }
+
+      case 'remove': {
+        if (values.length === 0) {
+          throw new ConfigError('suppress remove needs at least one phone number');
+        }
+        const result = await this.suppressionList.remove(values);
+        this.logger.info(`Removed: ${result.removed.join(', ') || 'none'}`);
+        if (result.missing.length > 0) {
+          this.logger.warn(`Not on the list: ${result.missing.join(', ')}`);
+        }
+        return result;
+      }
+
+      case 'import': {
+        if (values.length !== 1) {
+          throw new ConfigError('suppress import needs exactly one file');
+        }
+        try {
+          await fs.access(values[0]);
+        } catch {
+          throw new ConfigError(`File not found: ${values[0]}`);
+        }
+        const result = await this.suppressionList.importFile(values[0], { reason: this.options.reason });
+        this.logSuppressionResult(result);
+        return result;
+      }
+
+      default:
+        throw new ConfigError(`Unknown suppress action "${action}". Expected one of: list, add, remove, import`);
+    }
+  }
+
+  /**
+   * Log the outcome of adding numbers to the suppression list
+   * @param {Object} result - Result of SuppressionList.add
+   */
+  logSuppressionResult({ added, existing, invalid }) {
+    this.logger.info(`Added: ${added.length}, already listed: ${existing.length}, invalid: ${invalid.length}`);
+    invalid.forEach(phone => {
+      this.logger.warn(`  Invalid phone number: ${phone}`);
+    });
+  }
+
   /**
    * Cleanup and shutdown
    */
   async shutdown() {
+    if (!this.logger) {
+      return;
+    }
+
     this.logger.info('Shutting down...');
 
     if (this.whatsapp && this.whatsapp.isRunning()) {
@@ -244,11 +1525,115 @@ class WhatsAppAutomationApp {
   }
 }
 
+/**
+ * Map a send run's statistics to an exit code
+ * @param {Object} stats - Run statistics
+ * @returns {number} Exit code
+ */
+function getSendExitCode(stats) {
+  // No valid contacts means the input files were unusable
+  if (stats.total === 0) {
+    return EXIT_CODES.CONFIG_ERROR;
+  }
+  if (stats.failed === 0) {
+    return EXIT_CODES.SUCCESS;
+  }
+  return stats.sent + stats.skipped > 0 ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.FAILURE;
+}
+
+/**
+ * Run a command and return its exit code
+ * @param {WhatsAppAutomationApp} app - Initialized application
+ * @param {string} command - Command name
+ * @param {Array<string>} args - Positional arguments after the command
+ * @returns {Promise<number>} Exit code
+ */
+async function runCommand(app, command, args = []) {
+  switch (command) {
+    case 'send':
+      return getSendExitCode(await app.run());
+
+    case 'validate': {
+      const { valid, invalid, templateValidation } = await app.validate();
+      if (valid.length === 0) {
+        return EXIT_CODES.CONFIG_ERROR;
+      }
+      return invalid.length > 0 || !templateValidation.valid
+        ? EXIT_CODES.PARTIAL_FAILURE
+        : EXIT_CODES.SUCCESS;
+    }
+
+    case 'preview':
+      await app.preview();
+      return EXIT_CODES.SUCCESS;
+
+    case 'status':
+      app.status();
+      return EXIT_CODES.SUCCESS;
+
+    case 'history':
+      app.history();
+      return EXIT_CODES.SUCCESS;
+
+    case 'cleanup':
+      await app.cleanup();
+      return EXIT_CODES.SUCCESS;
+
+    case 'report':
+      app.report();
+      return EXIT_CODES.SUCCESS;
+
+    case 'check-numbers': {
+      const summary = await app.checkNumbers();
+      if (summary.failed > 0) {
+        return summary.failed < summary.total ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.FAILURE;
+      }
+      return EXIT_CODES.SUCCESS;
+    }
+
+    case 'classify':
+      await app.classify(app.options.output);
+      return EXIT_CODES.SUCCESS;
+
+    case 'receipts':
+    case 'replies': {
+      const summary = await app[command]();
+      if (summary.failed > 0) {
+        return summary.failed < summary.chats ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.FAILURE;
+      }
+      return EXIT_CODES.SUCCESS;
+    }
+
+    case 'suppress': {
+      const result = await app.suppress(args);
+      return result.invalid && result.invalid.length > 0
+        ? EXIT_CODES.PARTIAL_FAILURE
+        : EXIT_CODES.SUCCESS;
+    }
+
+    default:
+      throw new ConfigError(`Unknown command "${command}"`);
+  }
+}
+
 /**
  * Main entry point
  */
 async function main() {
-  const app = new WhatsAppAutomationApp();
+  let cli;
+  try {
+    cli = parseCli(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(EXIT_CODES.CONFIG_ERROR);
+  }
+
+  if (cli.options.help) {
+    console.log(getUsage());
+    process.exit(EXIT_CODES.SUCCESS);
+  }
+
+  const app = new WhatsAppAutomationApp(cli.options);
 
   // Handle process termination
   process.on('SIGINT', async () => {
@@ -265,13 +1650,18 @@ async function main() {
 
   try {
     // Initialize and run
-    await app.initialize();
-    await app.run();
+    await app.initialize(cli.options.config, ['send', 'receipts', 'replies', 'check-numbers'].includes(cli.command));
+
+    // Started by the desktop app: pass the login state (and QR code) over IPC
+    if (process.send && app.whatsapp) {
+      app.whatsapp.onLoginStatus = status => process.send({ type: 'login', ...status });
+    }
+    const exitCode = await runCommand(app, cli.command, cli.args);
 
     // Shutdown
     await app.shutdown();
 
-    process.exit(0);
+    process.exit(exitCode);
   } catch (error) {
     console.error('Fatal error:', error.message);
 
@@ -281,7 +1671,7 @@ async function main() {
     }
 
     await app.shutdown();
-    process.exit(1);
+    process.exit(error instanceof ConfigError ? EXIT_CODES.CONFIG_ERROR : EXIT_CODES.FAILURE);
   }
 }
 
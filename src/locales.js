@@ -0,0 +1,141 @@
+import { loadTemplate } from './templateRenderer.js';
+
+/**
+ * Contact columns checked for the contact's language, in order
+ */
+export const LOCALE_COLUMNS = ['locale', 'language', 'lang'];
+
+/**
+ * Check whether a template/caption config value is a locale map ({ he: ..., en: ... })
+ * @param {*} value - Config value
+ * @returns {boolean}
+ */
+export function isLocaleMap(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Normalize a locale code: "he_IL" and "HE-il" become "he-il"
+ * @param {string} locale - Locale code
+ * @returns {string}
+ */
+export function normalizeLocale(locale) {
+  return String(locale).trim().toLowerCase().replace(/_/g, '-');
+}
+
+/**
+ * Read the contact's locale from the configured column, or the first
+ * of LOCALE_COLUMNS present
+ * @param {Object} contact - Contact object
+ * @param {string} column - Column name from locale.column (optional)
+ * @returns {string|null} Normalized locale or null if blank
+ */
+export function getContactLocale(contact, column) {
+  const candidates = column ? [column] : LOCALE_COLUMNS;
+
+  for (const candidate of candidates) {
+    const key = Object.keys(contact).find(name => name.toLowerCase() === candidate.toLowerCase());
+    if (key && contact[key] !== null && contact[key] !== undefined && String(contact[key]).trim() !== '') {
+      return normalizeLocale(contact[key]);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Choose the best key of a locale map: exact match, then the language
+ * without region ("he-il" -> "he"), then the fallback, then the first entry
+ * @param {Object} map - Locale map
+ * @param {string|null} locale - Contact locale
+ * @param {string} fallback - locale.fallback (optional)
+ * @returns {Object} { key, matched } where matched is false if the fallback was used
+ */
+export function selectLocale(map, locale, fallback) {
+  const keys = Object.keys(map);
+  const byLocale = new Map(keys.map(key => [normalizeLocale(key), key]));
+
+  if (locale) {
+    const exact = byLocale.get(locale) || byLocale.get(locale.split('-')[0]);
+    if (exact) {
+      return { key: exact, matched: true };
+    }
+  }
+
+  const fallbackKey = fallback ? byLocale.get(normalizeLocale(fallback)) : null;
+  return { key: fallbackKey || keys[0], matched: false };
+}
+
+/**
+ * Resolve a template or caption for a contact
+ * @param {string|Object} value - Text, or locale map of texts
+ * @param {Object} contact - Contact object
+ * @param {Object} options - locale config section
+ * @param {string} options.column - Locale column
+ * @param {string} options.fallback - Locale used when the contact's is missing or unknown
+ * @returns {Object} { text, locale, matched } (locale is null for plain text)
+ */
+export function localize(value, contact, options = {}) {
+  if (!isLocaleMap(value)) {
+    return { text: value, locale: null, matched: true };
+  }
+
+  const { key, matched } = selectLocale(value, getContactLocale(contact, options.column), options.fallback);
+  return { text: value[key], locale: key, matched };
+}
+
+/**
+ * Load a template file, or a locale map of template files
+ * @param {string|Object} value - File path or { locale: file path }
+ * @returns {Promise<string|Object>} Template text, or locale map of texts
+ */
+export async function loadLocalizedTemplate(value) {
+  if (!isLocaleMap(value)) {
+    return loadTemplate(value);
+  }
+
+  const templates = {};
+  for (const [locale, filePath] of Object.entries(value)) {
+    templates[locale] = await loadTemplate(filePath);
+  }
+  return templates;
+}
+
+/**
+ * Check the locale section against the localized templates and caption
+ * @param {Object} config - Application configuration
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validateLocaleConfig(config) {
+  const problems = [];
+  const options = config.locale || {};
+
+  if (!isLocaleMap(options)) {
+    return ['locale must be a mapping with column and fallback'];
+  }
+
+  const maps = [];
+  if (isLocaleMap(config.message_template)) maps.push(['message_template', config.message_template]);
+  if (isLocaleMap(config.image_caption)) maps.push(['image_caption', config.image_caption]);
+  if (config.sequence && Array.isArray(config.sequence.steps)) {
+    config.sequence.steps.forEach((step, i) => {
+      if (step && isLocaleMap(step.text)) maps.push([`sequence.steps[${i}].text`, step.text]);
+      if (step && isLocaleMap(step.caption)) maps.push([`sequence.steps[${i}].caption`, step.caption]);
+    });
+  }
+  if (config.message_variants && Array.isArray(config.message_variants.templates)) {
+    config.message_variants.templates.forEach((entry, i) => {
+      if (entry && isLocaleMap(entry.path)) maps.push([`message_variants.templates[${i}].path`, entry.path]);
+    });
+  }
+
+  maps.forEach(([name, map]) => {
+    if (Object.keys(map).length === 0) {
+      problems.push(`${name} has no languages`);
+    } else if (options.fallback && !Object.keys(map).some(key => normalizeLocale(key) === normalizeLocale(options.fallback))) {
+      problems.push(`${name} has no "${options.fallback}" entry for locale.fallback`);
+    }
+  });
+
+  return problems;
+}
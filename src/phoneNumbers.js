@@ -0,0 +1,236 @@
+/**
+ * Numbering rules per country (ISO 3166-1 alpha-2):
+ * - code: country calling code
+ * - trunk: national trunk prefix dialled before local numbers (e.g. 0 in 050-123-4567)
+ * - lengths: [min, max] digits of the national significant number (without trunk prefix)
+ */
+export const COUNTRIES = {
+  US: { code: '1', trunk: '1', lengths: [10, 10], intlPrefix: '011' },
+  CA: { code: '1', trunk: '1', lengths: [10, 10], intlPrefix: '011' },
+  IL: { code: '972', trunk: '0', lengths: [8, 9] },
+  GB: { code: '44', trunk: '0', lengths: [9, 10] },
+  IE: { code: '353', trunk: '0', lengths: [7, 9] },
+  FR: { code: '33', trunk: '0', lengths: [9, 9] },
+  DE: { code: '49', trunk: '0', lengths: [6, 13] },
+  AT: { code: '43', trunk: '0', lengths: [4, 13] },
+  CH: { code: '41', trunk: '0', lengths: [9, 9] },
+  NL: { code: '31', trunk: '0', lengths: [9, 9] },
+  BE: { code: '32', trunk: '0', lengths: [8, 9] },
+  LU: { code: '352', trunk: '', lengths: [4, 11] },
+  ES: { code: '34', trunk: '', lengths: [9, 9] },
+  PT: { code: '351', trunk: '', lengths: [9, 9] },
+  IT: { code: '39', trunk: '', lengths: [6, 11] },
+  GR: { code: '30', trunk: '', lengths: [10, 10] },
+  SE: { code: '46', trunk: '0', lengths: [7, 10] },
+  NO: { code: '47', trunk: '', lengths: [8, 8] },
+  DK: { code: '45', trunk: '', lengths: [8, 8] },
+  FI: { code: '358', trunk: '0', lengths: [5, 12] },
+  PL: { code: '48', trunk: '', lengths: [9, 9] },
+  CZ: { code: '420', trunk: '', lengths: [9, 9] },
+  HU: { code: '36', trunk: '06', lengths: [8, 9] },
+  RO: { code: '40', trunk: '0', lengths: [9, 9] },
+  UA: { code: '380', trunk: '0', lengths: [9, 9] },
+  RU: { code: '7', trunk: '8', lengths: [10, 10] },
+  TR: { code: '90', trunk: '0', lengths: [10, 10] },
+  AE: { code: '971', trunk: '0', lengths: [8, 9] },
+  SA: { code: '966', trunk: '0', lengths: [8, 9] },
+  EG: { code: '20', trunk: '0', lengths: [9, 10] },
+  MA: { code: '212', trunk: '0', lengths: [9, 9] },
+  ZA: { code: '27', trunk: '0', lengths: [9, 9] },
+  NG: { code: '234', trunk: '0', lengths: [8, 10] },
+  IN: { code: '91', trunk: '0', lengths: [10, 10] },
+  CN: { code: '86', trunk: '0', lengths: [10, 11] },
+  JP: { code: '81', trunk: '0', lengths: [9, 10] },
+  KR: { code: '82', trunk: '0', lengths: [8, 10] },
+  PH: { code: '63', trunk: '0', lengths: [8, 10] },
+  SG: { code: '65', trunk: '', lengths: [8, 8] },
+  AU: { code: '61', trunk: '0', lengths: [9, 9] },
+  NZ: { code: '64', trunk: '0', lengths: [8, 10] },
+  BR: { code: '55', trunk: '0', lengths: [10, 11] },
+  MX: { code: '52', trunk: '', lengths: [10, 10] },
+  AR: { code: '54', trunk: '0', lengths: [10, 11] },
+  CL: { code: '56', trunk: '', lengths: [9, 9] },
+  CO: { code: '57', trunk: '', lengths: [10, 10] }
+};
+
+// Calling code -> country, first listed country wins for shared codes (US/CA)
+const COUNTRIES_BY_CODE = Object.entries(COUNTRIES).reduce((byCode, [iso, rules]) => {
+  if (!byCode[rules.code]) {
+    byCode[rules.code] = iso;
+  }
+  return byCode;
+}, {});
+
+// E.164 allows at most 15 digits; shorter than 8 is never a reachable mobile
+const E164_MIN_DIGITS = 8;
+const E164_MAX_DIGITS = 15;
+
+// Spaces (including non-breaking), bidi marks, dashes of any kind, dots, slashes and parentheses
+const SEPARATORS = /[\s\u200E\u200F\u2010-\u2015\u2212.\-/()]/g;
+
+/**
+ * Check that a default country is known
+ * @param {string|undefined} country - ISO country code from config
+ * @returns {boolean}
+ */
+export function isSupportedCountry(country) {
+  return Boolean(country) && country.toUpperCase() in COUNTRIES;
+}
+
+/**
+ * Normalize a phone number to E.164 (+<country code><national number>)
+ *
+ * Accepts international numbers (+972..., 00972..., 011 from North America)
+ * and, when a default country is given, national numbers with or without
+ * the trunk prefix (0501234567, 501234567).
+ *
+ * @param {string|number} raw - Phone number as written in the source
+ * @param {Object} options - Normalization options
+ * @param {string} options.defaultCountry - ISO country for national numbers
+ * @returns {Object} { valid, phone, country } or { valid: false, reason }
+ */
+export function normalizePhoneNumber(raw, options = {}) {
+  const defaultCountry = options.defaultCountry ? options.defaultCountry.toUpperCase() : null;
+  const defaultRules = defaultCountry ? COUNTRIES[defaultCountry] : null;
+
+  if (raw === null || raw === undefined || raw.toString().trim() === '') {
+    return invalid('Missing phone number');
+  }
+
+  const text = raw.toString().trim();
+  const cleaned = text.replace(SEPARATORS, '');
+
+  if (!/^\+?\d+$/.test(cleaned)) {
+    return invalid(`Phone number "${text}" contains characters other than digits and separators`);
+  }
+
+  // International formats
+  if (cleaned.startsWith('+')) {
+    return fromInternational(cleaned.slice(1), text);
+  }
+  if (cleaned.startsWith('00')) {
+    return fromInternational(cleaned.slice(2), text);
+  }
+  if (defaultRules && defaultRules.intlPrefix && cleaned.startsWith(defaultRules.intlPrefix)) {
+    return fromInternational(cleaned.slice(defaultRules.intlPrefix.length), text);
+  }
+
+  // No default country: keep the historical behaviour of reading digits as
+  // international, but a leading 0 can only be a national number
+  if (!defaultRules) {
+    if (cleaned.startsWith('0')) {
+      return invalid(
+        `Phone number "${text}" is in national format (leading 0) but no default_country is configured`
+      );
+    }
+    return fromInternational(cleaned, text);
+  }
+
+  return fromNational(cleaned, defaultCountry, text);
+}
+
+/**
+ * Convenience wrapper returning only the E.164 string
+ * @param {string|number} raw - Phone number
+ * @param {Object} options - See normalizePhoneNumber
+ * @returns {string|null} E.164 number or null if invalid
+ */
+export function toE164(raw, options = {}) {
+  const result = normalizePhoneNumber(raw, options);
+  return result.valid ? result.phone : null;
+}
+
+/**
+ * Normalize digits that start with a country calling code
+ */
+function fromInternational(digits, text) {
+  if (digits.startsWith('0')) {
+    return invalid(`Phone number "${text}" has a country code starting with 0`);
+  }
+
+  const code = findCallingCode(digits);
+
+  if (!code) {
+    // Unknown country: only the generic E.164 length check applies
+    if (digits.length < E164_MIN_DIGITS || digits.length > E164_MAX_DIGITS) {
+      return invalid(
+        `Phone number "${text}" has ${digits.length} digits; international numbers have ${E164_MIN_DIGITS}-${E164_MAX_DIGITS}`
+      );
+    }
+    return { valid: true, phone: `+${digits}`, country: null };
+  }
+
+  const country = COUNTRIES_BY_CODE[code];
+  const rules = COUNTRIES[country];
+  let national = digits.slice(code.length);
+
+  // Tolerate the trunk prefix written after the country code, e.g. +44 (0)7700...
+  if (rules.trunk && national.startsWith(rules.trunk) && !fitsLength(national, rules)
+    && fitsLength(national.slice(rules.trunk.length), rules)) {
+    national = national.slice(rules.trunk.length);
+  }
+
+  return checkLength(code, national, country, text);
+}
+
+/**
+ * Normalize a number written in the default country's national format
+ */
+function fromNational(digits, country, text) {
+  const rules = COUNTRIES[country];
+
+  // Already international but missing the + (e.g. 972501234567 with default IL)
+  if (digits.startsWith(rules.code) && !fitsLength(stripTrunk(digits, rules), rules)
+    && fitsLength(digits.slice(rules.code.length), rules)) {
+    return checkLength(rules.code, digits.slice(rules.code.length), country, text);
+  }
+
+  return checkLength(rules.code, stripTrunk(digits, rules), country, text);
+}
+
+/**
+ * Validate the national number length for a country
+ */
+function checkLength(code, national, country, text) {
+  const rules = COUNTRIES[country];
+  const [min, max] = rules.lengths;
+  const expected = min === max ? `${min}` : `${min}-${max}`;
+
+  if (national.length < min) {
+    return invalid(
+      `Phone number "${text}" is too short for ${country} (+${code}): expected ${expected} digits, got ${national.length}`
+    );
+  }
+  if (national.length > max) {
+    return invalid(
+      `Phone number "${text}" is too long for ${country} (+${code}): expected ${expected} digits, got ${national.length}`
+    );
+  }
+
+  return { valid: true, phone: `+${code}${national}`, country };
+}
+
+function findCallingCode(digits) {
+  // Calling codes are prefix-free, so at most one length matches
+  for (let length = 1; length <= 3; length++) {
+    const candidate = digits.slice(0, length);
+    if (COUNTRIES_BY_CODE[candidate]) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+function stripTrunk(digits, rules) {
+  return rules.trunk && digits.startsWith(rules.trunk)
+    ? digits.slice(rules.trunk.length)
+    : digits;
+}
+
+function fitsLength(national, rules) {
+  return national.length >= rules.lengths[0] && national.length <= rules.lengths[1];
+}
+
+function invalid(reason) {
+  return { valid: false, reason };
+}
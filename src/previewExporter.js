@@ -0,0 +1,226 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { toSpreadsheetCSV } from './csvParser.js';
+
+/**
+ * Output formats for preview --output, by file extension
+ */
+export const PREVIEW_FORMATS = ['.html', '.htm', '.csv'];
+
+// Characters allowed right before an opening / after a closing marker
+const OPEN_BOUNDARY = '(^|[\\s.,:;!?\'"(\\[{>-])';
+const CLOSE_BOUNDARY = '(?=$|[\\s.,:;!?\'")\\]}<-])';
+
+const ATTACHMENT_ICONS = { image: '🖼️', video: '🎬', audio: '🎵', document: '📄' };
+
+/**
+ * Write rendered messages to an HTML or CSV file, chosen by extension
+ * @param {string} filePath - Output path (.html, .htm or .csv)
+ * @param {Array<Object>} rendered - { row, contact, variant, locale, message, attachment, caption } entries,
+ *   or { row, contact, variant, locale, steps } for sequences
+ * @param {Object} details - Campaign details shown in the HTML header
+ * @param {string} details.template - Template path(s)
+ * @param {string} details.image - Global attachment path (image_path), if any
+ */
+export async function exportPreview(filePath, rendered, details = {}) {
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (!PREVIEW_FORMATS.includes(extension)) {
+    throw new Error(`Unsupported preview output "${filePath}". Use one of: ${PREVIEW_FORMATS.join(', ')}`);
+  }
+
+  const content = extension === '.csv'
+    ? renderPreviewCSV(rendered, details)
+    : renderPreviewHTML(rendered, details);
+
+  await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+  await fs.writeFile(filePath, content, 'utf-8');
+}
+
+/**
+ * One row per contact (per step for sequences) with the raw rendered text
+ * @param {Array<Object>} rendered - Rendered messages
+ * @param {Object} details - Campaign details
+ * @returns {string} CSV content
+ */
+export function renderPreviewCSV(rendered, details = {}) {
+  const records = rendered.flatMap(({ row, contact, variant, locale, message, attachment, caption, steps }) => {
+    const base = {
+      row: row || '',
+      phone: contact.phone,
+      name: contact.name || '',
+      variant: variant || '',
+      locale: locale || ''
+    };
+
+    if (!steps) {
+      return [{
+        ...base,
+        step: '',
+        message,
+        caption: caption || '',
+        attachment: attachment ? attachment.path : '',
+        attachment_type: attachment ? attachment.type : ''
+      }];
+    }
+
+    return steps.map(step => ({
+      ...base,
+      step: step.number,
+      message: step.type === 'text' ? step.text : '',
+      caption: step.caption || '',
+      attachment: step.type === 'attachment' ? step.attachments.map(file => file.path).join('; ') : '',
+      attachment_type: step.type === 'attachment' ? step.attachments.map(file => file.type).join('; ') : ''
+    }));
+  });
+
+  return toSpreadsheetCSV(records,
+    ['row', 'phone', 'name', 'variant', 'locale', 'step', 'message', 'caption', 'attachment', 'attachment_type']);
+}
+
+/**
+ * Convert WhatsApp markup to HTML: *bold*, _italic_, ~strike~,
+ * ```monospace``` and `inline code`
+ * @param {string} text - Message text
+ * @returns {string} HTML
+ */
+export function formatWhatsApp(text) {
+  const blocks = [];
+
+  // Monospace blocks are shown verbatim, so take them out before other markup
+  let html = escapeHtml(text).replace(/```([\s\S]+?)```/g, (match, code) => {
+    blocks.push(`<code class="mono">${code}</code>`);
+    return `\u0000${blocks.length - 1}\u0000`;
+  });
+
+  html = applyMarker(html, '`', 'code');
+  html = applyMarker(html, '*', 'strong');
+  html = applyMarker(html, '_', 'em');
+  html = applyMarker(html, '~', 's');
+
+  // Newlines are kept (not <br>) so each line gets its own direction in pre-wrap text
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => blocks[index]);
+}
+
+function applyMarker(html, marker, tag) {
+  const escaped = marker.replace(/[*~`]/g, '\\$&');
+  // Content starts and ends with a non-space character and stays on one line
+  const pattern = new RegExp(`${OPEN_BOUNDARY}${escaped}(?=\\S)([^\\n]*?\\S)${escaped}${CLOSE_BOUNDARY}`, 'gm');
+  return html.replace(pattern, `$1<${tag}>$2</${tag}>`);
+}
+
+/**
+ * Standalone HTML page showing each message as a WhatsApp chat bubble
+ * @param {Array<Object>} rendered - Rendered messages
+ * @param {Object} details - Campaign details
+ * @returns {string} HTML document
+ */
+export function renderPreviewHTML(rendered, details = {}) {
+  const attachmentName = details.image ? path.basename(details.image) : null;
+
+  const showVariants = new Set(rendered.map(entry => entry.variant)).size > 1;
+
+  const cards = rendered.map(({ row, contact, variant, locale, message, attachment, caption, steps }, i) => {
+    const bubbles = [];
+    const lang = locale ? ` lang="${escapeHtml(locale)}"` : '';
+    const textBubble = text => `
+        <div class="bubble">
+          <div class="text" dir="auto"${lang}>${formatWhatsApp(text)}</div>
+        </div>`;
+
+    // A single-message campaign is a sequence of file + caption, then text
+    const chatSteps = steps || [
+      ...(attachment ? [{ type: 'attachment', attachments: [attachment], caption }] : []),
+      { type: 'text', text: message }
+    ];
+
+    chatSteps.forEach(step => {
+      if (step.type === 'text') {
+        if (step.text.trim().length > 0) {
+          bubbles.push(textBubble(step.text));
+        }
+        return;
+      }
+
+      // Audio has no caption on WhatsApp; it is sent as its own message
+      const separateCaption = step.attachments.every(file => file.type === 'audio');
+      const files = step.attachments.map(file =>
+        `<div class="attachment attachment-${file.type}">${ATTACHMENT_ICONS[file.type]} ${escapeHtml(path.basename(file.path))}</div>`
+      ).join('');
+      bubbles.push(`
+        <div class="bubble${step.attachments.length > 1 ? ' album' : ''}">
+          ${files}
+          ${step.caption && !separateCaption ? `<div class="text" dir="auto"${lang}>${formatWhatsApp(step.caption)}</div>` : ''}
+        </div>`);
+      if (step.caption && separateCaption) {
+        bubbles.push(textBubble(step.caption));
+      }
+    });
+
+    return `
+    <section class="contact">
+      <header>
+        <span class="index">${i + 1}</span>
+        <span class="name" dir="auto">${escapeHtml(contact.name || 'Unknown')}</span>
+        <span class="phone">${escapeHtml(contact.phone)}</span>
+        ${showVariants ? `<span class="variant">${escapeHtml(variant)}</span>` : ''}
+        ${locale ? `<span class="locale">${escapeHtml(locale)}</span>` : ''}
+        ${row ? `<span class="row">row ${row}</span>` : ''}
+      </header>
+      <div class="chat">${bubbles.join('') || '<div class="empty">Nothing would be sent</div>'}
+      </div>
+    </section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Campaign preview</title>
+<style>
+  body { margin: 0; font-family: "Segoe UI", Helvetica, Arial, sans-serif; background: #f0f2f5; color: #111b21; }
+  .summary { background: #008069; color: white; padding: 16px 24px; }
+  .summary h1 { margin: 0 0 6px; font-size: 20px; }
+  .summary div { font-size: 13px; opacity: 0.9; }
+  main { max-width: 720px; margin: 0 auto; padding: 16px; }
+  .contact { background: white; border-radius: 8px; margin-bottom: 16px; overflow: hidden; box-shadow: 0 1px 2px rgba(0,0,0,0.1); }
+  .contact header { display: flex; gap: 12px; align-items: baseline; padding: 10px 16px; border-bottom: 1px solid #e9edef; }
+  .index { color: #667781; font-size: 12px; }
+  .name { font-weight: 600; }
+  .phone, .row { color: #667781; font-family: monospace; font-size: 13px; }
+  .row { margin-left: auto; }
+  .variant, .locale { background: #e7fce3; color: #008069; border-radius: 10px; padding: 0 8px; font-size: 12px; }
+  .locale { background: #e9edef; color: #54656f; }
+  .chat { background: #efeae2; padding: 12px 16px; display: flex; flex-direction: column; align-items: flex-end; gap: 6px; }
+  .bubble { background: #d9fdd3; border-radius: 7.5px; padding: 6px 9px; max-width: 85%; box-shadow: 0 1px 0.5px rgba(0,0,0,0.13); font-size: 14.2px; line-height: 19px; }
+  .attachment { background: #c8e6c0; border-radius: 5px; padding: 24px; text-align: center; color: #54656f; margin-bottom: 4px; }
+  .attachment-document, .attachment-audio { padding: 12px; text-align: left; }
+  .album { display: grid; grid-template-columns: 1fr 1fr; gap: 4px; }
+  .album .attachment { margin-bottom: 0; }
+  .album .text { grid-column: 1 / -1; }
+  .text { white-space: pre-wrap; unicode-bidi: plaintext; overflow-wrap: anywhere; }
+  code { font-family: Consolas, "Courier New", monospace; background: rgba(0,0,0,0.06); border-radius: 3px; padding: 0 3px; }
+  code.mono { background: none; padding: 0; white-space: pre-wrap; }
+  .empty { color: #667781; font-style: italic; }
+</style>
+</head>
+<body>
+<div class="summary">
+  <h1>Campaign preview</h1>
+  <div>${rendered.length} messages${details.template ? ` · template ${escapeHtml(details.template)}` : ''}${attachmentName ? ` · attachment ${escapeHtml(attachmentName)}` : ''} · generated ${escapeHtml(new Date().toLocaleString())}</div>
+</div>
+<main>
+${cards}
+</main>
+</body>
+</html>
+`;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,102 @@
+/**
+ * Read the login QR code from its canvas. Runs in the page (pass it to
+ * page.evaluate), so it must not use anything from this module.
+ * @param {string} selector - Canvas selector
+ * @returns {Object|null} { dataUrl, modules } where modules is a square
+ *   matrix of dark (true) and light modules, or null if the canvas holds no
+ *   code yet; null if there is no canvas
+ */
+export function readQrCanvas(selector) {
+  const canvas = document.querySelector(selector);
+  if (!canvas || canvas.width === 0 || canvas.height === 0) {
+    return null;
+  }
+
+  const { width, height } = canvas;
+  const pixels = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+  // Transparent pixels count as light
+  const isDark = (x, y) => {
+    const i = (y * width + x) * 4;
+    return pixels[i + 3] > 128 && pixels[i] + pixels[i + 1] + pixels[i + 2] < 384;
+  };
+
+  let left = width;
+  let top = height;
+  let right = -1;
+  let bottom = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (isDark(x, y)) {
+        left = Math.min(left, x);
+        right = Math.max(right, x);
+        top = Math.min(top, y);
+        bottom = Math.max(bottom, y);
+      }
+    }
+  }
+
+  const dataUrl = canvas.toDataURL('image/png');
+  if (right < 0) {
+    return { dataUrl, modules: null };
+  }
+
+  // The top-left finder pattern starts with a run of 7 dark modules
+  let run = 0;
+  while (left + run <= right && isDark(left + run, top)) {
+    run++;
+  }
+  const moduleSize = run / 7;
+  const count = Math.round((right - left + 1) / moduleSize);
+
+  const modules = [];
+  for (let row = 0; row < count; row++) {
+    const line = [];
+    for (let col = 0; col < count; col++) {
+      line.push(isDark(
+        Math.min(right, Math.floor(left + (col + 0.5) * moduleSize)),
+        Math.min(bottom, Math.floor(top + (row + 0.5) * moduleSize))
+      ));
+    }
+    modules.push(line);
+  }
+
+  return { dataUrl, modules };
+}
+
+/**
+ * Draw a QR code with block characters, two module rows per line. Light
+ * modules are drawn as blocks, so the code scans on a dark terminal.
+ * @param {Array<Array<boolean>>} modules - Matrix from readQrCanvas
+ * @param {number} margin - Quiet zone around the code, in modules
+ * @returns {string} Lines of text
+ */
+export function renderQrText(modules, margin = 2) {
+  const size = modules.length + margin * 2;
+  const isLight = (row, col) => {
+    const r = row - margin;
+    const c = col - margin;
+    const inside = r >= 0 && c >= 0 && r < modules.length && c < modules.length;
+    return !(inside && modules[r][c]);
+  };
+
+  const lines = [];
+  for (let row = 0; row < size; row += 2) {
+    let line = '';
+    for (let col = 0; col < size; col++) {
+      const upper = isLight(row, col);
+      const lower = row + 1 < size && isLight(row + 1, col);
+      line += upper && lower ? '█' : upper ? '▀' : lower ? '▄' : ' ';
+    }
+    lines.push(line);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Decode the PNG of a canvas data URL
+ * @param {string} dataUrl - data:image/png;base64,... URL
+ * @returns {Buffer} PNG bytes
+ */
+export function dataUrlToBuffer(dataUrl) {
+  return Buffer.from(dataUrl.slice(dataUrl.indexOf(',') + 1), 'base64');
+}
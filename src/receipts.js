@@ -0,0 +1,73 @@
+/**
+ * Delivery status of a sent message, from its tick icon, in order:
+ * - pending: clock icon, not yet accepted by the WhatsApp server
+ * - sent: one grey tick
+ * - delivered: two grey ticks
+ * - read: two blue ticks (only if the contact has read receipts on)
+ */
+export const DELIVERY_STATUSES = ['pending', 'sent', 'delivered', 'read'];
+
+/**
+ * Least advanced of several delivery statuses
+ * @param {Array<string>} statuses - Statuses from DELIVERY_STATUSES
+ * @returns {string}
+ */
+export function getLowestStatus(statuses) {
+  return statuses.reduce((lowest, status) =>
+    DELIVERY_STATUSES.indexOf(status) < DELIVERY_STATUSES.indexOf(lowest) ? status : lowest);
+}
+
+/**
+ * Find the chat messages a sent-messages entry stands for.
+ *
+ * Entries sent with message ids are matched by id. Older entries are matched
+ * by content: a message whose text hashes to the entry's hash (with the
+ * "[step N]" prefix for sequence steps). Sequence steps and messages made of
+ * a file only are found this way only if they have no caption.
+ *
+ * @param {Object} entry - Sent-messages entry from the state file
+ * @param {Array<Object>} messages - { id, text, status } from getOutgoingMessages
+ * @param {Function} generateHash - (phone, message) => hash, as used by StateTracker
+ * @returns {Array<Object>} Matching messages (empty if none is in the chat)
+ */
+export function findEntryMessages(entry, messages, generateHash) {
+  if (entry.messageIds && entry.messageIds.length > 0) {
+    const ids = new Set(entry.messageIds);
+    const found = messages.filter(message => message.id && ids.has(message.id));
+    if (found.length > 0) {
+      return found;
+    }
+  }
+
+  return messages.filter(message => {
+    const text = message.text.replace(/\r\n?/g, '\n').replace(/\u00a0/g, ' ').replace(/\n+$/, '');
+    const key = entry.step ? `[step ${entry.step}] ${text}` : text;
+    return generateHash(entry.phone, key) === entry.messageHash;
+  }).slice(-1);
+}
+
+/**
+ * Fields to update on an entry after reading its status in the chat. Ticks
+ * only move forward, so a status below the recorded one is ignored.
+ * deliveredAt and readAt are when the status was first seen, not when
+ * WhatsApp delivered the message.
+ * @param {Object} entry - Sent-messages entry
+ * @param {Array<Object>} found - Messages from findEntryMessages
+ * @param {string} checkedAt - ISO timestamp of the check
+ * @returns {Object} { deliveryStatus, deliveredAt?, readAt?, receiptsCheckedAt }
+ */
+export function getReceiptUpdate(entry, found, checkedAt) {
+  const seen = getLowestStatus(found.map(message => message.status));
+  const recorded = DELIVERY_STATUSES.indexOf(entry.deliveryStatus);
+  const status = DELIVERY_STATUSES.indexOf(seen) > recorded ? seen : entry.deliveryStatus;
+  const update = { deliveryStatus: status, receiptsCheckedAt: checkedAt };
+
+  if (['delivered', 'read'].includes(status) && !entry.deliveredAt) {
+    update.deliveredAt = checkedAt;
+  }
+  if (status === 'read' && !entry.readAt) {
+    update.readAt = checkedAt;
+  }
+
+  return update;
+}
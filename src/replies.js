@@ -0,0 +1,100 @@
+import { writeSpreadsheetCSV } from './csvParser.js';
+import { findEntryMessages } from './receipts.js';
+
+/**
+ * Columns of the replies CSV export
+ */
+export const REPLY_COLUMNS = ['campaign', 'variant', 'phone', 'name', 'step', 'sent_at', 'reply_time', 'reply', 'tag', 'collected_at'];
+
+/**
+ * Work out which sent-messages entry each of the contact's messages replies to.
+ *
+ * Every entry of the contact is located in the chat (see findEntryMessages);
+ * an incoming message belongs to the last entry sent before it. Messages
+ * from before our first located message are not replies to anything.
+ *
+ * @param {Array<Object>} entries - All sent-messages entries of one contact
+ * @param {Array<Object>} messages - Chat messages from getChatMessages
+ * @param {Function} generateHash - (phone, message) => hash, as used by StateTracker
+ * @returns {Object} { replies: Map<hash, Array<Object>>, notFound: Array<Object> }
+ *   where notFound lists the entries whose message isn't in the chat
+ */
+export function assignReplies(entries, messages, generateHash) {
+  const outgoing = messages.filter(message => message.direction === 'out');
+  const replies = new Map();
+  const notFound = [];
+
+  // Position of each entry's (last) message in the chat
+  const located = [];
+  entries.forEach(entry => {
+    const found = findEntryMessages(entry, outgoing, generateHash);
+    if (found.length === 0) {
+      notFound.push(entry);
+      return;
+    }
+    located.push({ entry, index: Math.max(...found.map(message => message.index)) });
+    replies.set(entry.messageHash, []);
+  });
+  located.sort((a, b) => a.index - b.index);
+
+  messages.filter(message => message.direction === 'in').forEach(message => {
+    const previous = located.filter(({ index }) => index < message.index).pop();
+    if (previous) {
+      replies.get(previous.entry.messageHash).push(message);
+    }
+  });
+
+  return { replies, notFound };
+}
+
+/**
+ * Add newly collected replies to the ones already stored on an entry,
+ * skipping those seen on a previous run
+ * @param {Array<Object>} existing - entry.replies (may be undefined)
+ * @param {Array<Object>} messages - Incoming chat messages for the entry
+ * @param {string} collectedAt - ISO timestamp of this run
+ * @returns {Object} { replies, added } where added is the number of new replies
+ */
+export function mergeReplies(existing = [], messages, collectedAt) {
+  const keyOf = reply => reply.id || `${reply.time}\u0000${reply.text}`;
+  const seen = new Set(existing.map(keyOf));
+  const added = messages
+    .filter(message => !seen.has(keyOf(message)))
+    .map(({ id, text, time }) => ({ id, text, time, collectedAt }));
+
+  return { replies: [...existing, ...added], added: added.length };
+}
+
+/**
+ * One row per reply, newest sent message first
+ * @param {Object} sentMessages - state.sentMessages
+ * @param {string} campaign - Only this campaign (all if not given)
+ * @returns {Array<Object>} Rows with REPLY_COLUMNS fields
+ */
+export function listReplies(sentMessages, campaign = null) {
+  return Object.values(sentMessages)
+    .filter(entry => entry.replies && entry.replies.length > 0)
+    .filter(entry => !campaign || entry.campaign === campaign)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    .flatMap(entry => entry.replies.map(reply => ({
+      campaign: entry.campaign || '',
+      variant: entry.variant || '',
+      phone: entry.phone,
+      name: (entry.contact && entry.contact.name) || '',
+      step: entry.step || '',
+      sent_at: entry.timestamp,
+      reply_time: reply.time || '',
+      reply: reply.text,
+      tag: reply.tag || '',
+      collected_at: reply.collectedAt || ''
+    })));
+}
+
+/**
+ * Write replies to a CSV file
+ * @param {string} filePath - Output path
+ * @param {Array<Object>} rows - Rows from listReplies
+ */
+export async function exportReplies(filePath, rows) {
+  await writeSpreadsheetCSV(filePath, rows, REPLY_COLUMNS);
+}
@@ -0,0 +1,162 @@
+import { writeSpreadsheetCSV } from './csvParser.js';
+
+/**
+ * Tag given to contacts listed in the attendee CSV, unless attendees.tag says otherwise
+ */
+export const DEFAULT_ATTENDEE_TAG = 'attending';
+
+/**
+ * Check the reply_rules config section: a list of { tag, match, opt_out }
+ * where match is a keyword pattern ("yes|coming|כן") or a list of keywords
+ * @param {Array<Object>} rules - reply_rules section
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validateReplyRules(rules) {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return ['reply_rules must list at least one rule with tag and match'];
+  }
+
+  const problems = [];
+  rules.forEach((rule, i) => {
+    const name = `reply_rules[${i}]`;
+
+    if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+      problems.push(`${name} must be a mapping with tag and match`);
+      return;
+    }
+    if (typeof rule.tag !== 'string' || rule.tag.trim() === '') {
+      problems.push(`${name}.tag must be a non-empty name`);
+    }
+
+    const keywords = [].concat(rule.match === undefined ? [] : rule.match);
+    if (keywords.length === 0 || keywords.some(keyword => typeof keyword !== 'string' || keyword.trim() === '')) {
+      problems.push(`${name}.match must be a keyword pattern or a list of keywords`);
+      return;
+    }
+    try {
+      compileRule(rule);
+    } catch (error) {
+      problems.push(`${name}.match is not a valid pattern: ${error.message}`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Prepare reply_rules for matching
+ * @param {Array<Object>} rules - Valid reply_rules section
+ * @returns {Array<Object>} { tag, optOut, pattern }
+ */
+export function compileReplyRules(rules) {
+  return rules.map(compileRule);
+}
+
+function compileRule(rule) {
+  // A list holds literal keywords; a string is a pattern with | between keywords
+  const source = Array.isArray(rule.match)
+    ? rule.match.map(keyword => keyword.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')
+    : rule.match.trim();
+
+  // Whole words only, in any script ("no" must not match "know" or "נו")
+  return {
+    tag: rule.tag.trim(),
+    optOut: Boolean(rule.opt_out),
+    pattern: new RegExp(`(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`, 'iu')
+  };
+}
+
+/**
+ * First rule whose keywords appear in a reply
+ * @param {string} text - Reply text
+ * @param {Array<Object>} rules - Rules from compileReplyRules
+ * @returns {Object|null} Matching rule
+ */
+export function classifyReply(text, rules) {
+  return rules.find(rule => rule.pattern.test(text || '')) || null;
+}
+
+/**
+ * Classify every contact who replied, per campaign.
+ *
+ * Each reply gets the tag of the first matching rule. A contact's tag is the
+ * tag of their latest matching reply ("yes", then "sorry, can't" counts as
+ * the second), except that one opt-out reply makes the contact opted out for
+ * good.
+ *
+ * @param {Object} sentMessages - state.sentMessages
+ * @param {Array<Object>} rules - Rules from compileReplyRules
+ * @param {string} campaign - Only this campaign (all if not given)
+ * @returns {Array<Object>} { campaign, phone, contact, tag, optOut, reply, entries }
+ *   where reply is the deciding reply and entries are the contact's entries
+ *   in the campaign (untagged contacts have tag null). Sets reply.tag on the
+ *   entries' replies.
+ */
+export function classifyContacts(sentMessages, rules, campaign = null) {
+  const contacts = new Map();
+
+  Object.values(sentMessages)
+    .filter(entry => !campaign || entry.campaign === campaign)
+    .sort((a, b) => (a.step || 0) - (b.step || 0) || new Date(a.timestamp) - new Date(b.timestamp))
+    .forEach(entry => {
+      const key = `${entry.campaign || ''}\u0000${entry.phone}`;
+      if (!contacts.has(key)) {
+        contacts.set(key, {
+          campaign: entry.campaign || null,
+          phone: entry.phone,
+          contact: entry.contact || {},
+          tag: null,
+          optOut: false,
+          reply: null,
+          entries: []
+        });
+      }
+      const result = contacts.get(key);
+      result.entries.push(entry);
+
+      (entry.replies || []).forEach(reply => {
+        const rule = classifyReply(reply.text, rules);
+        reply.tag = rule ? rule.tag : null;
+        if (!rule || result.optOut) {
+          return;
+        }
+        result.tag = rule.tag;
+        result.optOut = rule.optOut;
+        result.reply = reply;
+      });
+    });
+
+  return Array.from(contacts.values());
+}
+
+/**
+ * Contacts whose tag is the attendee tag, one row each with their contact fields
+ * @param {Array<Object>} classified - Results of classifyContacts
+ * @param {string} tag - Attendee tag (default DEFAULT_ATTENDEE_TAG)
+ * @returns {Array<Object>} Rows: campaign, phone, contact fields, reply, reply_time
+ */
+export function listAttendees(classified, tag = DEFAULT_ATTENDEE_TAG) {
+  return classified
+    .filter(result => result.tag === tag)
+    .map(result => ({
+      campaign: result.campaign || '',
+      ...result.contact,
+      phone: result.phone,
+      reply: result.reply.text,
+      reply_time: result.reply.time || ''
+    }));
+}
+
+/**
+ * Write the attendee CSV (contact fields from every row as columns)
+ * @param {string} filePath - Output path
+ * @param {Array<Object>} rows - Rows from listAttendees
+ */
+export async function exportAttendees(filePath, rows) {
+  const fields = new Set(['campaign', 'phone', 'name']);
+  rows.forEach(row => Object.keys(row).forEach(field => fields.add(field)));
+  fields.delete('reply');
+  fields.delete('reply_time');
+
+  await writeSpreadsheetCSV(filePath, rows, [...fields, 'reply', 'reply_time']);
+}
@@ -29,6 +29,11 @@ export async function retryWithBackoff(fn, config, logger) {
     } catch (error) {
       lastError = error;
 
+      // Errors marked as not retryable (e.g. InvalidNumberError) fail at once
+      if (error.retryable === false) {
+        throw error;
+      }
+
       if (attempt < max_attempts) {
         logger.warn(
           `Attempt ${attempt} failed: ${error.message}. Retrying in ${delay}ms...`
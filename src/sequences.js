@@ -0,0 +1,196 @@
+import { isLocaleMap, localize } from './locales.js';
+import { renderTemplate } from './templateRenderer.js';
+import { resolveFile, getAttachmentType } from './attachments.js';
+
+/**
+ * Pause before each step after the first, unless sequence.gap_ms or the
+ * step's gap_ms says otherwise
+ */
+export const DEFAULT_STEP_GAP_MS = 2000;
+
+/**
+ * Check the sequence config section
+ *
+ * Steps are sent in order. Each step is one of:
+ * - message: the campaign message (message_template or message_variants)
+ * - { text }: an extra text message (template string or locale map)
+ * - { attachment, caption }: one file, or a list of files sent as an album
+ *
+ * @param {Object} sequence - sequence section
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validateSequenceConfig(sequence) {
+  const problems = [];
+
+  if (typeof sequence !== 'object' || sequence === null || Array.isArray(sequence)) {
+    return ['sequence must be a mapping with gap_ms and steps'];
+  }
+  if (sequence.gap_ms !== undefined && !(Number(sequence.gap_ms) >= 0)) {
+    problems.push(`sequence.gap_ms must be a number of milliseconds, got "${sequence.gap_ms}"`);
+  }
+  if (!Array.isArray(sequence.steps) || sequence.steps.length === 0) {
+    problems.push('sequence.steps must list at least one step');
+    return problems;
+  }
+
+  sequence.steps.forEach((step, i) => {
+    const name = `sequence.steps[${i}]`;
+
+    if (step === 'message') {
+      return;
+    }
+    if (typeof step !== 'object' || step === null || Array.isArray(step)) {
+      problems.push(`${name} must be "message", or a mapping with text or attachment`);
+      return;
+    }
+
+    const kinds = ['text', 'attachment'].filter(kind => step[kind] !== undefined);
+    if (kinds.length !== 1) {
+      problems.push(`${name} needs exactly one of text or attachment`);
+      return;
+    }
+    if (step.gap_ms !== undefined && !(Number(step.gap_ms) >= 0)) {
+      problems.push(`${name}.gap_ms must be a number of milliseconds, got "${step.gap_ms}"`);
+    }
+
+    if (step.text !== undefined) {
+      if (typeof step.text !== 'string' && !isLocaleMap(step.text)) {
+        problems.push(`${name}.text must be a template string or a map of languages`);
+      }
+      if (step.caption !== undefined) {
+        problems.push(`${name}.caption only applies to attachment steps`);
+      }
+      return;
+    }
+
+    const files = [].concat(step.attachment);
+    if (files.length === 0 || files.some(file => typeof file !== 'string' || file.trim() === '')) {
+      problems.push(`${name}.attachment must be a file path or a list of file paths`);
+      return;
+    }
+    // An album goes through one file picker: photos & videos, or documents
+    const media = files.map(file => ['image', 'video'].includes(getAttachmentType(file)));
+    if (!step.send_as_document && media.some(Boolean) && !media.every(Boolean)) {
+      problems.push(`${name}.attachment mixes photos/videos with other files; put them in separate steps`);
+    }
+    if (step.caption !== undefined && typeof step.caption !== 'string' && !isLocaleMap(step.caption)) {
+      problems.push(`${name}.caption must be a template string or a map of languages`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Texts and captions of the sequence, for template validation
+ * @param {Object} sequence - sequence section
+ * @returns {Array<Array>} [label, template or locale map] pairs
+ */
+export function getSequenceTemplates(sequence) {
+  const templates = [];
+
+  sequence.steps.forEach((step, i) => {
+    if (step.text !== undefined) templates.push([`sequence step ${i + 1} text`, step.text]);
+    if (step.caption !== undefined) templates.push([`sequence step ${i + 1} caption`, step.caption]);
+  });
+
+  return templates;
+}
+
+/**
+ * Unrendered text and caption templates of each step for a contact, with the
+ * contact's language picked (the "message" step uses the given template)
+ * @param {Object} config - Application configuration
+ * @param {Object} contact - Contact object
+ * @param {string} messageTemplate - The contact's campaign message template
+ * @returns {Array<Object>} { number, label, template } entries
+ */
+export function getStepTemplates(config, contact, messageTemplate) {
+  const entries = [];
+
+  config.sequence.steps.forEach((step, i) => {
+    const number = i + 1;
+    if (step === 'message') {
+      entries.push({ number, label: `step ${number}`, template: messageTemplate });
+    } else if (step.text !== undefined) {
+      entries.push({ number, label: `step ${number}`, template: localize(step.text, contact, config.locale).text });
+    } else if (step.caption !== undefined) {
+      entries.push({ number, label: `step ${number} caption`, template: localize(step.caption, contact, config.locale).text });
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Files of every step for a contact
+ * @param {Object} config - Application configuration
+ * @param {Object} contact - Contact object
+ * @returns {Array<Object>} { path, type } files
+ */
+export function getSequenceAttachments(config, contact) {
+  return config.sequence.steps
+    .filter(step => step.attachment !== undefined)
+    .flatMap(step => [].concat(step.attachment).map(source => resolveFile(source, contact, config, step.send_as_document)));
+}
+
+/**
+ * Render a contact's sequence. Text steps that render empty are left out;
+ * steps keep their configured number so state entries stay stable.
+ * @param {Object} config - Application configuration
+ * @param {Object} contact - Contact object
+ * @param {string} message - The contact's rendered campaign message
+ * @returns {Array<Object>} Steps: { number, gapMs, type: 'text', text }
+ *   or { number, gapMs, type: 'attachment', attachments, caption }
+ */
+export function resolveSequence(config, contact, message) {
+  const { sequence } = config;
+  const defaultGap = sequence.gap_ms !== undefined ? Number(sequence.gap_ms) : DEFAULT_STEP_GAP_MS;
+
+  return sequence.steps.map((step, i) => {
+    const base = { number: i + 1, gapMs: step.gap_ms !== undefined ? Number(step.gap_ms) : defaultGap };
+
+    if (step === 'message') {
+      return { ...base, type: 'text', text: message };
+    }
+    if (step.text !== undefined) {
+      return { ...base, type: 'text', text: renderTemplate(localize(step.text, contact, config.locale).text, contact) };
+    }
+
+    const attachments = [].concat(step.attachment)
+      .map(source => resolveFile(source, contact, config, step.send_as_document));
+    const caption = step.caption !== undefined
+      ? renderTemplate(localize(step.caption, contact, config.locale).text, contact)
+      : null;
+    return { ...base, type: 'attachment', attachments, caption };
+  }).filter(step => step.type !== 'text' || step.text.trim().length > 0);
+}
+
+/**
+ * Content a step is tracked by in the state file: its number and what it
+ * sends, so editing one step only resends that step
+ * @param {Object} step - Step from resolveSequence
+ * @returns {string}
+ */
+export function getStepKey(step) {
+  if (step.type === 'text') {
+    return `[step ${step.number}] ${step.text}`;
+  }
+  const files = step.attachments.map(attachment => attachment.path).join(', ');
+  return `[step ${step.number}] ${files}${step.caption ? `\n${step.caption}` : ''}`;
+}
+
+/**
+ * One-line description of a step for logs
+ * @param {Object} step - Step from resolveSequence
+ * @returns {string}
+ */
+export function describeStep(step) {
+  if (step.type === 'text') {
+    return 'text';
+  }
+  if (step.attachments.length === 1) {
+    return `${step.attachments[0].type} ${step.attachments[0].path}`;
+  }
+  return `album of ${step.attachments.length}: ${step.attachments.map(attachment => attachment.path).join(', ')}`;
+}
@@ -11,6 +11,8 @@ export class StateTracker {
     this.logger = logger;
     this.state = {
       sentMessages: {},
+      failedMessages: {},
+      numberChecks: {},
       lastUpdated: null
     };
   }
@@ -46,6 +48,8 @@ export class StateTracker {
       // Load existing state
       const data = await fs.readFile(this.stateFilePath, 'utf-8');
       this.state = JSON.parse(data);
+      this.state.failedMessages = this.state.failedMessages || {};
+      this.state.numberChecks = this.state.numberChecks || {};
       this.logger.info(`Loaded state with ${Object.keys(this.state.sentMessages).length} tracked messages`);
     } catch (error) {
       this.logger.error(`Failed to load state: ${error.message}`);
@@ -109,10 +113,156 @@ export class StateTracker {
       timestamp: new Date().toISOString(),
       ...metadata
     };
+    delete this.state.failedMessages[hash];
     await this.save();
     this.logger.debug(`Marked message as sent for ${phone}`);
   }
 
+  /**
+   * Record a failed send (replaced by the sent entry if a later run succeeds)
+   * @param {string} phone - Phone number
+   * @param {string} message - Message content
+   * @param {Object} metadata - Additional metadata (error, campaign, variant...)
+   */
+  async markAsFailed(phone, message, metadata = {}) {
+    const hash = this.generateHash(phone, message);
+    const previous = this.state.failedMessages[hash];
+    this.state.failedMessages[hash] = {
+      phone,
+      messageHash: hash,
+      timestamp: new Date().toISOString(),
+      attempts: previous ? previous.attempts + 1 : 1,
+      ...metadata
+    };
+    await this.save();
+    this.logger.debug(`Marked message as failed for ${phone}`);
+  }
+
+  /**
+   * Record whether a phone number is on WhatsApp
+   * @param {string} phone - Phone number
+   * @param {string} status - 'valid' or 'invalid'
+   */
+  async recordNumberCheck(phone, status) {
+    this.state.numberChecks[phone] = {
+      status,
+      checkedAt: new Date().toISOString()
+    };
+    await this.save();
+  }
+
+  /**
+   * Get the last recorded check of a phone number
+   * @param {string} phone - Phone number
+   * @returns {Object|null} { status, checkedAt } or null if never checked
+   */
+  getNumberCheck(phone) {
+    return this.state.numberChecks[phone] || null;
+  }
+
+  /**
+   * Variant each contact was messaged (or failed) with in a campaign, so a
+   * rerun can give them the same one. Sent messages win over failures.
+   * @param {string|null} campaign - Campaign name (null for messages sent without one)
+   * @returns {Map<string, string>} Phone -> variant name
+   */
+  getRecordedVariants(campaign = null) {
+    const recorded = new Map();
+    const add = entry => {
+      if (entry.variant && (entry.campaign || null) === (campaign || null)) {
+        recorded.set(entry.phone, entry.variant);
+      }
+    };
+    Object.values(this.state.failedMessages).forEach(add);
+    Object.values(this.state.sentMessages).forEach(add);
+    return recorded;
+  }
+
+  /**
+   * Update fields of a sent-messages entry (e.g. delivery receipts)
+   * @param {string} hash - Message hash
+   * @param {Object} fields - Fields to set
+   * @returns {Promise<boolean>} False if there is no such entry
+   */
+  async updateSentMessage(hash, fields) {
+    const entry = this.state.sentMessages[hash];
+    if (!entry) {
+      return false;
+    }
+    Object.assign(entry, fields);
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Update fields of several sent-messages entries and save once
+   * @param {Map<string, Object>} updates - Message hash -> fields to set
+   * @returns {Promise<number>} Number of entries updated
+   */
+  async updateSentMessages(updates) {
+    let updated = 0;
+    updates.forEach((fields, hash) => {
+      if (this.state.sentMessages[hash]) {
+        Object.assign(this.state.sentMessages[hash], fields);
+        updated++;
+      }
+    });
+    if (updated > 0) {
+      await this.save();
+    }
+    return updated;
+  }
+
+  /**
+   * Outcome counts per campaign and variant. A sequence's steps count as one
+   * message per contact: delivered or replied if any step was.
+   * @param {string} campaign - Only this campaign (all if not given)
+   * @returns {Array<Object>} { campaign, variant, sent, failed, delivered, replied } rows
+   */
+  getVariantStats(campaign = null) {
+    const groups = new Map();
+    const group = entry => {
+      const key = `${entry.campaign || ''}\u0000${entry.variant || ''}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          campaign: entry.campaign || null,
+          variant: entry.variant || null,
+          sent: 0,
+          failed: 0,
+          delivered: 0,
+          replied: 0,
+          counted: { sent: new Set(), failed: new Set(), delivered: new Set(), replied: new Set() }
+        });
+      }
+      return groups.get(key);
+    };
+    const included = entry => !campaign || entry.campaign === campaign;
+    // Count once per entry, or once per contact for sequence steps
+    const count = (stats, field, entry) => {
+      if (!entry.step) {
+        stats[field]++;
+      } else if (!stats.counted[field].has(entry.phone)) {
+        stats.counted[field].add(entry.phone);
+        stats[field]++;
+      }
+    };
+
+    Object.values(this.state.sentMessages).filter(included).forEach(entry => {
+      const stats = group(entry);
+      count(stats, 'sent', entry);
+      if (['delivered', 'read'].includes(entry.deliveryStatus)) count(stats, 'delivered', entry);
+      if (entry.replies && entry.replies.length > 0) count(stats, 'replied', entry);
+    });
+
+    Object.values(this.state.failedMessages).filter(included).forEach(entry => {
+      count(group(entry), 'failed', entry);
+    });
+
+    return Array.from(groups.values()).map(({ counted, ...stats }) => stats).sort((a, b) =>
+      `${a.campaign || ''} ${a.variant || ''}`.localeCompare(`${b.campaign || ''} ${b.variant || ''}`)
+    );
+  }
+
   /**
    * Get statistics
    * @returns {Object} Statistics object
@@ -149,7 +299,16 @@ export class StateTracker {
     this.state.sentMessages = newSentMessages;
     const removedCount = originalCount - Object.keys(newSentMessages).length;
 
-    if (removedCount > 0) {
+    // Old failures are not worth keeping either
+    let removedFailures = 0;
+    Object.entries(this.state.failedMessages).forEach(([hash, data]) => {
+      if (new Date(data.timestamp) < cutoffDate) {
+        delete this.state.failedMessages[hash];
+        removedFailures++;
+      }
+    });
+
+    if (removedCount > 0 || removedFailures > 0) {
       await this.save();
       this.logger.info(`Cleaned up ${removedCount} old entries`);
     }
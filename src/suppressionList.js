@@ -0,0 +1,203 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { toE164 } from './phoneNumbers.js';
+import { loadContacts } from './contactsLoader.js';
+
+/**
+ * Resolve the suppression list path: suppression_file if set,
+ * otherwise suppression_list.json next to state_file
+ * @param {Object} config - Application configuration
+ * @returns {string} File path
+ */
+export function getSuppressionFilePath(config) {
+  if (config.suppression_file) {
+    return config.suppression_file;
+  }
+  return path.join(path.dirname(config.state_file || './sent_messages.json'), 'suppression_list.json');
+}
+
+/**
+ * Persistent do-not-contact list, checked before every send
+ */
+export class SuppressionList {
+  /**
+   * @param {string} filePath - Path to the suppression list file
+   * @param {winston.Logger} logger - Logger instance
+   * @param {Object} options - Options
+   * @param {string} options.defaultCountry - ISO country for numbers without country code
+   */
+  constructor(filePath, logger, options = {}) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.defaultCountry = options.defaultCountry;
+    this.state = {
+      numbers: {},
+      lastUpdated: null
+    };
+  }
+
+  /**
+   * Load the list from file (a missing file is an empty list)
+   */
+  async load() {
+    try {
+      const data = await fs.readFile(this.filePath, 'utf-8');
+      this.state = JSON.parse(data);
+      this.state.numbers = this.state.numbers || {};
+      this.logger.info(`Loaded suppression list with ${this.size()} numbers`);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      this.logger.error(`Failed to load suppression list: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Save the list to file
+   */
+  async save() {
+    try {
+      this.state.lastUpdated = new Date().toISOString();
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(this.filePath, JSON.stringify(this.state, null, 2), 'utf-8');
+      this.logger.debug('Suppression list saved successfully');
+    } catch (error) {
+      this.logger.error(`Failed to save suppression list: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Normalize a number the same way contacts are normalized
+   * @param {string} phone - Phone number
+   * @returns {string|null} E.164 number or null if invalid
+   */
+  normalize(phone) {
+    return toE164(phone, { defaultCountry: this.defaultCountry });
+  }
+
+  /**
+   * Check whether a number must not be contacted
+   * @param {string} phone - Phone number (E.164)
+   * @returns {boolean}
+   */
+  has(phone) {
+    const normalized = this.normalize(phone) || phone;
+    return normalized in this.state.numbers;
+  }
+
+  /**
+   * Get the suppression entry for a number
+   * @param {string} phone - Phone number
+   * @returns {Object|null} Entry with reason, source and addedAt
+   */
+  get(phone) {
+    const normalized = this.normalize(phone) || phone;
+    return this.state.numbers[normalized] || null;
+  }
+
+  /**
+   * Add numbers to the list
+   * @param {Array<string>} phones - Phone numbers
+   * @param {Object} details - Entry details
+   * @param {string} details.reason - Why the number is suppressed
+   * @param {string} details.source - Where the request came from (cli, electron, import...)
+   * @returns {Promise<Object>} { added, existing, invalid } phone lists
+   */
+  async add(phones, details = {}) {
+    const result = { added: [], existing: [], invalid: [] };
+
+    phones.forEach(phone => {
+      const normalized = this.normalize(phone);
+      if (!normalized) {
+        result.invalid.push(String(phone));
+      } else if (normalized in this.state.numbers) {
+        result.existing.push(normalized);
+      } else {
+        this.state.numbers[normalized] = {
+          reason: details.reason || 'opt-out',
+          source: details.source || 'manual',
+          addedAt: new Date().toISOString()
+        };
+        result.added.push(normalized);
+      }
+    });
+
+    if (result.added.length > 0) {
+      await this.save();
+      this.logger.info(`Added ${result.added.length} numbers to the suppression list`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Remove numbers from the list
+   * @param {Array<string>} phones - Phone numbers
+   * @returns {Promise<Object>} { removed, missing } phone lists
+   */
+  async remove(phones) {
+    const result = { removed: [], missing: [] };
+
+    phones.forEach(phone => {
+      const normalized = this.normalize(phone) || String(phone);
+      if (normalized in this.state.numbers) {
+        delete this.state.numbers[normalized];
+        result.removed.push(normalized);
+      } else {
+        result.missing.push(normalized);
+      }
+    });
+
+    if (result.removed.length > 0) {
+      await this.save();
+      this.logger.info(`Removed ${result.removed.length} numbers from the suppression list`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Import numbers from a contacts file (any supported format) or a
+   * plain text file with one number per line
+   * @param {string} filePath - File to import
+   * @param {Object} details - Entry details (see add)
+   * @returns {Promise<Object>} Result of add
+   */
+  async importFile(filePath, details = {}) {
+    let phones;
+
+    if (path.extname(filePath).toLowerCase() === '.txt') {
+      const content = await fs.readFile(filePath, 'utf-8');
+      phones = content.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    } else {
+      const { contacts } = await loadContacts(filePath);
+      phones = contacts
+        .map(contact => {
+          const field = Object.keys(contact).find(key => /^phone(_?number)?$/i.test(key.replace(/\s/g, '')));
+          return field ? contact[field] : null;
+        })
+        .filter(Boolean);
+    }
+
+    return this.add(phones, { source: `import:${path.basename(filePath)}`, ...details });
+  }
+
+  /**
+   * List all entries
+   * @returns {Array<Object>} Entries with phone, reason, source, addedAt
+   */
+  list() {
+    return Object.entries(this.state.numbers).map(([phone, entry]) => ({ phone, ...entry }));
+  }
+
+  /**
+   * Number of suppressed numbers
+   * @returns {number}
+   */
+  size() {
+    return Object.keys(this.state.numbers).length;
+  }
+}
@@ -1,4 +1,6 @@
 import fs from 'fs/promises';
+import { createHash } from 'crypto';
+import { TemplateSyntaxError } from './errors.js';
 
 /**
  * Load message template from file
@@ -14,77 +16,518 @@ export async function loadTemplate(filePath) {
   }
 }
 
+// {{ tag }}, or the legacy ${field} and {field} placeholders
+const TAG_PATTERN = /\{\{([\s\S]*?)\}\}|\$\{(\w+)\}|\{(\w+)\}/g;
+
+const FIELD_PATTERN = /^\w+$/;
+
+// {Hi|Hello|Hey}: no braces inside, so nested spintax resolves innermost first
+const SPINTAX_PATTERN = /\{([^{}]*\|[^{}]*)\}/;
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Longest tokens first; [text] is copied as written
+const DATE_TOKEN_PATTERN = /\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|mm/g;
+
 /**
- * Render template with contact data
- * Supports various placeholder formats:
- * - {{fieldName}} - Standard format
- * - {fieldName} - Simple format
- * - ${fieldName} - Template literal style
+ * Filters usable as {{field | name}} or {{field | name: arg}}
+ * Each receives the current value (a string) followed by its arguments
+ */
+export const FILTERS = {
+  default: { args: [1, 1], apply: (value, fallback) => (value.trim() === '' ? fallback : value) },
+  upper: { args: [0, 0], apply: value => value.toUpperCase() },
+  lower: { args: [0, 0], apply: value => value.toLowerCase() },
+  capitalize: { args: [0, 0], apply: value => value.charAt(0).toUpperCase() + value.slice(1).toLowerCase() },
+  title: { args: [0, 0], apply: value => value.toLowerCase().replace(/(^|\s)(\S)/g, (m, space, c) => space + c.toUpperCase()) },
+  first_word: { args: [0, 0], apply: value => value.trim().split(/\s+/)[0] },
+  trim: { args: [0, 0], apply: value => value.trim() },
+  date: { args: [0, 1], apply: (value, format = 'DD/MM/YYYY') => formatDate(value, format) }
+};
+
+/**
+ * Parse a template into a tree of text, placeholder and conditional nodes
  *
- * @param {string} template - Template string with placeholders
- * @param {Object} contact - Contact object with fields
- * @returns {string} Rendered message
+ * Syntax:
+ * - {{field}}                      value of a contact field ('' if missing)
+ * - {{field | default: "friend"}}  filters, chained left to right
+ * - {{#if field}}...{{else}}...{{/if}}, {{#unless field}}...{{/unless}}
+ * - {field}, ${field}              legacy placeholders (plain substitution;
+ *                                  kept as written if the contact has no such field)
+ *
+ * @param {string} template - Template string
+ * @returns {Array<Object>} Parsed nodes; legacy placeholders keep their token
+ *   as raw ("{field}") so it can be sent as written
+ * @throws {TemplateSyntaxError} On malformed tags
+ */
+export function parseTemplate(template) {
+  const root = { nodes: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+
+  const current = () => {
+    const block = stack[stack.length - 1];
+    return block.inElse ? block.otherwise : block.nodes;
+  };
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(template)) !== null) {
+    const tag = match[1] === undefined ? null : match[1].trim();
+    let textEnd = match.index;
+    let tagEnd = TAG_PATTERN.lastIndex;
+
+    // A block tag alone on its line leaves no empty line behind
+    if (tag !== null && /^(#if|#unless|else$|\/if$|\/unless$)/.test(tag)) {
+      const before = /[ \t]*$/.exec(template.slice(lastIndex, match.index));
+      const after = /^[ \t]*(\r?\n|$)/.exec(template.slice(tagEnd));
+      const lineStart = match.index - before[0].length;
+      if (after && (lineStart === 0 || template[lineStart - 1] === '\n')) {
+        textEnd = lineStart;
+        tagEnd += after[0].length;
+      }
+    }
+
+    if (textEnd > lastIndex) {
+      current().push({ type: 'text', value: template.slice(lastIndex, textEnd) });
+    }
+    lastIndex = tagEnd;
+    TAG_PATTERN.lastIndex = tagEnd;
+
+    const line = template.slice(0, match.index).split('\n').length;
+
+    // Legacy placeholders
+    if (tag === null) {
+      current().push({ type: 'field', field: match[2] || match[3], filters: [], line, raw: match[0] });
+      continue;
+    }
+
+    const block = stack[stack.length - 1];
+
+    const open = /^#(if|unless)\b\s*(.*)$/.exec(tag);
+    if (open) {
+      const field = open[2].trim();
+      if (!FIELD_PATTERN.test(field)) {
+        throw new TemplateSyntaxError(`{{#${open[1]}}} needs a single field name, got "${open[2].trim()}"`, line);
+      }
+      const node = { type: open[1], field, nodes: [], otherwise: [], inElse: false, line };
+      current().push(node);
+      stack.push(node);
+      continue;
+    }
+
+    if (tag === 'else') {
+      if (stack.length === 1 || block.inElse) {
+        throw new TemplateSyntaxError('{{else}} without a matching {{#if}}', line);
+      }
+      block.inElse = true;
+      continue;
+    }
+
+    const close = /^\/(if|unless)$/.exec(tag);
+    if (close) {
+      if (stack.length === 1) {
+        throw new TemplateSyntaxError(`{{/${close[1]}}} without a matching {{#${close[1]}}}`, line);
+      }
+      if (block.type !== close[1]) {
+        throw new TemplateSyntaxError(`{{/${close[1]}}} closes {{#${block.type}}} opened on line ${block.line}`, line);
+      }
+      stack.pop();
+      continue;
+    }
+
+    current().push(parseExpression(tag, line));
+  }
+
+  if (lastIndex < template.length) {
+    current().push({ type: 'text', value: template.slice(lastIndex) });
+  }
+
+  if (stack.length > 1) {
+    const block = stack[stack.length - 1];
+    throw new TemplateSyntaxError(`{{#${block.type} ${block.field}}} is never closed`, block.line);
+  }
+
+  return root.nodes;
+}
+
+/**
+ * Parse "field | filter: arg, arg | filter"
  */
-export function renderTemplate(template, contact) {
-  let rendered = template;
+function parseExpression(expression, line) {
+  const [field, ...parts] = splitOutsideQuotes(expression, '|').map(part => part.trim());
 
-  // Replace placeholders for each field in contact
-  Object.keys(contact).forEach(field => {
-    const value = contact[field] || '';
+  if (!FIELD_PATTERN.test(field)) {
+    throw new TemplateSyntaxError(`Invalid placeholder "{{${expression}}}"`, line);
+  }
+
+  const filters = parts.map(part => {
+    const separator = part.indexOf(':');
+    const name = (separator === -1 ? part : part.slice(0, separator)).trim();
+    const rawArgs = separator === -1 ? '' : part.slice(separator + 1).trim();
+    const filter = FILTERS[name];
 
-    // Support multiple placeholder formats
-    const patterns = [
-      new RegExp(`\\{\\{${field}\\}\\}`, 'gi'),  // {{fieldName}}
-      new RegExp(`\\{${field}\\}`, 'gi'),         // {fieldName}
-      new RegExp(`\\$\\{${field}\\}`, 'gi')       // ${fieldName}
-    ];
+    if (!filter) {
+      throw new TemplateSyntaxError(
+        `Unknown filter "${name}" in {{${expression}}}. Available: ${Object.keys(FILTERS).join(', ')}`,
+        line
+      );
+    }
+
+    const args = rawArgs === '' ? [] : splitOutsideQuotes(rawArgs, ',').map(arg => parseLiteral(arg.trim(), expression, line));
+    const [min, max] = filter.args;
+    if (args.length < min || args.length > max) {
+      const expected = min === max ? `${min}` : `${min}-${max}`;
+      throw new TemplateSyntaxError(
+        `Filter "${name}" takes ${expected} argument(s), got ${args.length} in {{${expression}}}`,
+        line
+      );
+    }
 
-    patterns.forEach(pattern => {
-      rendered = rendered.replace(pattern, value);
-    });
+    return { name, args };
   });
 
-  return rendered;
+  return { type: 'field', field, filters, line };
+}
+
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === separator) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+
+  return parts;
+}
+
+function parseLiteral(arg, expression, line) {
+  const quoted = /^(["'])([\s\S]*)\1$/.exec(arg);
+  if (quoted) {
+    return quoted[2];
+  }
+  if (/^-?\d+(\.\d+)?$/.test(arg)) {
+    return arg;
+  }
+  throw new TemplateSyntaxError(`Filter arguments must be quoted strings or numbers, got ${arg || 'nothing'} in {{${expression}}}`, line);
+}
+
+/**
+ * Look up a contact field, exact name first, then case-insensitively
+ * @param {Object} contact - Contact object
+ * @param {string} field - Field name
+ * @returns {string} Field value as text ('' if missing)
+ */
+function lookup(contact, field) {
+  let value = contact[field];
+
+  if (value === undefined) {
+    const key = Object.keys(contact).find(name => name.toLowerCase() === field.toLowerCase());
+    value = key === undefined ? undefined : contact[key];
+  }
+
+  return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Whether a contact has a field (even an empty one), matched like lookup
+ */
+function hasField(contact, field) {
+  return Object.keys(contact).some(name => name.toLowerCase() === field.toLowerCase());
+}
+
+function renderNodes(nodes, contact) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+
+      case 'field':
+        // Single braces are common in plain text ("{note}"), so a legacy
+        // placeholder only stands for a field the contact actually has
+        if (node.raw && !hasField(contact, node.field)) {
+          return node.raw;
+        }
+        return node.filters.reduce(
+          (value, { name, args }) => FILTERS[name].apply(value, ...args),
+          lookup(contact, node.field)
+        );
+
+      default: {
+        // if / unless: a field counts as set when it is not blank
+        const isSet = lookup(contact, node.field).trim() !== '';
+        const branch = isSet === (node.type === 'if') ? node.nodes : node.otherwise;
+        return renderNodes(branch, contact);
+      }
+    }
+  }).join('');
 }
 
 /**
- * Find all placeholders in template
+ * Pick a stable pseudo-random index: the same seed always gives the same index
+ * @param {string} seed - Seed text (e.g. phone number)
+ * @param {number} count - Number of choices
+ * @returns {number} Index between 0 and count - 1
+ */
+export function pickIndex(seed, count) {
+  const hash = createHash('sha256').update(String(seed)).digest('hex');
+  return parseInt(hash.slice(0, 8), 16) % count;
+}
+
+/**
+ * Replace each {option|option} group with one of its options
+ * @param {string} template - Template string
+ * @param {string|null} seed - Seed for the choices; null keeps every option
+ *   (joined by spaces), so validation sees the placeholders of all of them
+ * @returns {string} Template without spintax
+ */
+export function resolveSpintax(template, seed) {
+  // Hide placeholders while resolving: {{tags}} use | for filters, and
+  // {field} inside an option would stop the option from matching
+  const tags = [];
+  let text = template.replace(TAG_PATTERN, tag => {
+    tags.push(tag);
+    return `\u0000${tags.length - 1}\u0000`;
+  });
+
+  let count = 0;
+  let match;
+  while ((match = SPINTAX_PATTERN.exec(text)) !== null) {
+    const options = match[1].split('|');
+    const choice = seed === null
+      ? options.join(' ')
+      : options[pickIndex(`${seed}:${count}`, options.length)];
+    count++;
+    text = text.slice(0, match.index) + choice + text.slice(match.index + match[0].length);
+  }
+
+  return text.replace(/\u0000(\d+)\u0000/g, (placeholder, index) => tags[index]);
+}
+
+/**
+ * Render template with contact data
+ * Supports {{field}} with filters and {{#if}} blocks (see parseTemplate),
+ * spintax ({Hi|Hello}) as well as the simple {fieldName} and ${fieldName}
+ * formats. Field names are matched case-insensitively.
+ *
+ * Spintax choices are seeded with the contact's phone number, so a contact
+ * gets the same text on every run and duplicate detection keeps working.
+ *
+ * @param {string} template - Template string with placeholders
+ * @param {Object} contact - Contact object with fields
+ * @param {Object} options - Render options
+ * @param {string} options.seed - Spintax seed (default: contact.phone)
+ * @returns {string} Rendered message
+ * @throws {TemplateSyntaxError} If the template is malformed
+ */
+export function renderTemplate(template, contact, options = {}) {
+  const seed = options.seed !== undefined ? options.seed : String(contact.phone || '');
+  return renderNodes(parseTemplate(resolveSpintax(template, seed)), contact);
+}
+
+/**
+ * Find all fields used in template, in placeholders and conditions
  * @param {string} template - Template string
  * @returns {Array<string>} Array of placeholder names
+ * @throws {TemplateSyntaxError} If the template is malformed
  */
 export function extractPlaceholders(template) {
   const placeholders = new Set();
 
-  // Match {{field}}, {field}, ${field}
-  const patterns = [
-    /\{\{(\w+)\}\}/g,
-    /\{(\w+)\}/g,
-    /\$\{(\w+)\}/g
-  ];
-
-  patterns.forEach(pattern => {
-    let match;
-    while ((match = pattern.exec(template)) !== null) {
-      placeholders.add(match[1]);
+  const visit = nodes => nodes.forEach(node => {
+    if (node.type === 'text') return;
+    placeholders.add(node.field);
+    if (node.nodes) {
+      visit(node.nodes);
+      visit(node.otherwise);
     }
   });
+  visit(parseTemplate(resolveSpintax(template, null)));
 
   return Array.from(placeholders);
 }
 
+/**
+ * Find fields whose empty value would leave a gap in the message: placeholders
+ * without a default filter that are not inside an {{#if}} on the same field
+ * @param {string} template - Template string
+ * @returns {Array<string>} Field names
+ * @throws {TemplateSyntaxError} If the template is malformed
+ */
+export function getRequiredFields(template) {
+  const required = new Set();
+
+  const visit = (nodes, guarded) => nodes.forEach(node => {
+    if (node.type === 'field') {
+      const hasDefault = node.filters.some(filter => filter.name === 'default');
+      if (!hasDefault && !guarded.has(node.field.toLowerCase())) {
+        required.add(node.field);
+      }
+    } else if (node.nodes) {
+      const withField = new Set(guarded).add(node.field.toLowerCase());
+      visit(node.nodes, node.type === 'if' ? withField : guarded);
+      visit(node.otherwise, node.type === 'unless' ? withField : guarded);
+    }
+  });
+  visit(parseTemplate(resolveSpintax(template, null)), new Set());
+
+  return Array.from(required);
+}
+
+/**
+ * Find the required fields (see getRequiredFields) that are blank for a contact
+ * @param {Array<string>} fields - Required fields
+ * @param {Object} contact - Contact object
+ * @returns {Array<string>} Blank fields
+ */
+export function findEmptyFields(fields, contact) {
+  return fields.filter(field => lookup(contact, field).trim() === '');
+}
+
 /**
  * Validate template against available contact fields
+ *
+ * A legacy {field} or ${field} token whose field is not a column is sent as
+ * written (see renderNodes), so it is listed in literals, not missingFields.
+ *
  * @param {string} template - Template string
  * @param {Array<string>} availableFields - Available field names
- * @returns {Object} Validation result
+ * @returns {Object} Validation result with placeholders, missingFields,
+ *   literals, syntax errors and warnings (problems that don't stop the run)
  */
 export function validateTemplate(template, availableFields) {
-  const placeholders = extractPlaceholders(template);
-  const missingFields = placeholders.filter(p => !availableFields.includes(p));
+  let nodes;
+  try {
+    nodes = parseTemplate(resolveSpintax(template, null));
+  } catch (error) {
+    if (!(error instanceof TemplateSyntaxError)) throw error;
+    return { valid: false, placeholders: [], missingFields: [], literals: [], errors: [error.message], warnings: [] };
+  }
+
+  const known = new Set(availableFields.map(field => field.toLowerCase()));
+  const placeholders = new Set();
+  const literals = new Set();
+
+  const visit = list => list.forEach(node => {
+    if (node.type === 'text') return;
+    if (node.raw && !known.has(node.field.toLowerCase())) {
+      literals.add(node.raw);
+      return;
+    }
+    placeholders.add(node.field);
+    if (node.nodes) {
+      visit(node.nodes);
+      visit(node.otherwise);
+    }
+  });
+  visit(nodes);
+
+  const missingFields = Array.from(placeholders).filter(p => !known.has(p.toLowerCase()));
 
   return {
     valid: missingFields.length === 0,
-    placeholders,
-    missingFields
+    placeholders: Array.from(placeholders),
+    missingFields,
+    literals: Array.from(literals),
+    errors: [],
+    warnings: findDateFormatWarnings(nodes)
+  };
+}
+
+/**
+ * Find date filter formats with words that would be taken for tokens
+ * ("Due D MMM" prints the day in place of the D of "Due")
+ * @param {Array<Object>} nodes - Nodes from parseTemplate
+ * @returns {Array<string>} Warnings
+ */
+function findDateFormatWarnings(nodes) {
+  const warnings = [];
+
+  const visit = list => list.forEach(node => {
+    if (node.type === 'field') {
+      node.filters.filter(filter => filter.name === 'date' && filter.args.length > 0).forEach(filter => {
+        const words = (filter.args[0].replace(/\[[^\]]*\]/g, ' ').match(/[A-Za-z]+/g) || [])
+          .filter(word => word.replace(DATE_TOKEN_PATTERN, '') !== '' && /[YMDdHm]/.test(word));
+        if (words.length > 0) {
+          warnings.push(
+            `Date format "${filter.args[0]}" reads letters of ${words.map(word => `"${word}"`).join(', ')} as date tokens; `
+            + `put literal text in brackets, e.g. [${words[0]}] (line ${node.line})`
+          );
+        }
+      });
+    } else if (node.nodes) {
+      visit(node.nodes);
+      visit(node.otherwise);
+    }
+  });
+  visit(nodes);
+
+  return warnings;
+}
+
+/**
+ * Parse a date value: ISO (2024-03-15), day-first (15/03/2024, 15.03.2024)
+ * or anything Date.parse understands
+ */
+function parseDate(value) {
+  const text = value.trim();
+
+  const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+  if (iso) {
+    return new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+  }
+
+  const dayFirst = /^(\d{1,2})[./](\d{1,2})[./](\d{4})$/.exec(text);
+  if (dayFirst) {
+    return new Date(Number(dayFirst[3]), Number(dayFirst[2]) - 1, Number(dayFirst[1]));
+  }
+
+  // Date.parse accepts almost anything ("12" is 2001), so require a year
+  if (!/\d{4}/.test(text)) {
+    return null;
+  }
+  const parsed = new Date(text);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+/**
+ * Format a date with YYYY, YY, MMMM, MMM, MM, M, DD, D, dddd, ddd, HH, H and mm
+ * Text in [brackets] is kept as written. Values that are not dates are
+ * returned unchanged
+ */
+function formatDate(value, format) {
+  const date = value.trim() === '' ? null : parseDate(value);
+  if (!date) {
+    return value;
+  }
+
+  const pad = number => String(number).padStart(2, '0');
+  const tokens = {
+    YYYY: () => String(date.getFullYear()),
+    YY: () => String(date.getFullYear()).slice(-2),
+    MMMM: () => MONTHS[date.getMonth()],
+    MMM: () => MONTHS[date.getMonth()].slice(0, 3),
+    MM: () => pad(date.getMonth() + 1),
+    M: () => String(date.getMonth() + 1),
+    DD: () => pad(date.getDate()),
+    D: () => String(date.getDate()),
+    dddd: () => WEEKDAYS[date.getDay()],
+    ddd: () => WEEKDAYS[date.getDay()].slice(0, 3),
+    HH: () => pad(date.getHours()),
+    H: () => String(date.getHours()),
+    mm: () => pad(date.getMinutes())
   };
+
+  return format.replace(DATE_TOKEN_PATTERN, (token, literal) => (literal !== undefined ? literal : tokens[token]()));
 }
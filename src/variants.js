@@ -0,0 +1,157 @@
+import path from 'path';
+import { pickIndex } from './templateRenderer.js';
+import { isLocaleMap, loadLocalizedTemplate } from './locales.js';
+
+/**
+ * How contacts are spread over message_variants templates:
+ * - random: picked from a hash of the phone number (stable across runs and list edits)
+ * - round_robin: dealt out in contacts-file order for an even split; contacts
+ *   already messaged keep the variant recorded for them, so editing or
+ *   reordering the list never moves them
+ * Both honour per-template weights (default 1 each).
+ */
+export const VARIANT_STRATEGIES = ['random', 'round_robin'];
+
+/**
+ * Load the campaign's message templates
+ *
+ * With message_variants every listed file is a variant; otherwise
+ * message_template is the single "default" variant ('' in image-only mode).
+ * A file path can also be a locale map ({ he: ./he.txt, en: ./en.txt }), in
+ * which case the variant's template is a locale map of texts.
+ *
+ * @param {Object} config - Application configuration
+ * @returns {Promise<Array<Object>>} Variants with name, path (for logs) and template
+ */
+export async function loadVariants(config) {
+  const variants = config.message_variants;
+
+  if (!variants) {
+    const source = config.message_template;
+    const hasTemplate = isLocaleMap(source) || (typeof source === 'string' && source.trim() !== '');
+    return [{
+      name: 'default',
+      path: hasTemplate ? describePath(source) : null,
+      template: hasTemplate ? await loadLocalizedTemplate(source) : ''
+    }];
+  }
+
+  return Promise.all(variants.templates.map(async (entry, i) => {
+    const source = typeof entry === 'string' ? entry : entry.path;
+    const name = (typeof entry === 'object' && entry.name)
+      || (isLocaleMap(source) ? `variant${i + 1}` : path.basename(source, path.extname(source)));
+    const weight = typeof entry === 'object' && entry.weight !== undefined ? Number(entry.weight) : 1;
+    return { name, path: describePath(source), weight, template: await loadLocalizedTemplate(source) };
+  }));
+}
+
+function describePath(source) {
+  return isLocaleMap(source)
+    ? Object.entries(source).map(([locale, filePath]) => `${locale}: ${filePath}`).join(', ')
+    : source;
+}
+
+/**
+ * Check the message_variants config section
+ * @param {Object} variants - message_variants section
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validateVariantsConfig(variants) {
+  const problems = [];
+
+  if (typeof variants !== 'object' || Array.isArray(variants)) {
+    return ['message_variants must be a mapping with strategy and templates'];
+  }
+  if (variants.strategy && !VARIANT_STRATEGIES.includes(variants.strategy)) {
+    problems.push(`Unknown message_variants.strategy "${variants.strategy}". Expected one of: ${VARIANT_STRATEGIES.join(', ')}`);
+  }
+  if (!Array.isArray(variants.templates) || variants.templates.length === 0) {
+    problems.push('message_variants.templates must list at least one template file');
+  } else {
+    variants.templates.forEach((entry, i) => {
+      const filePath = typeof entry === 'string' ? entry : entry && entry.path;
+      if (!filePath) {
+        problems.push(`message_variants.templates[${i}] needs a file path`);
+      }
+      if (entry && typeof entry === 'object' && entry.weight !== undefined
+        && !(Number(entry.weight) > 0)) {
+        problems.push(`message_variants.templates[${i}].weight must be a positive number, got "${entry.weight}"`);
+      }
+    });
+
+    const names = variants.templates
+      .filter(entry => entry && (typeof entry === 'string' || entry.path))
+      .map((entry, i) => {
+        const source = typeof entry === 'string' ? entry : entry.path;
+        return (typeof entry === 'object' && entry.name)
+          || (isLocaleMap(source) ? `variant${i + 1}` : path.basename(source, path.extname(source)));
+      });
+    const repeated = names.filter((name, i) => names.indexOf(name) !== i);
+    if (repeated.length > 0) {
+      problems.push(`message_variants.templates have duplicate names: ${[...new Set(repeated)].join(', ')}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Assign a variant to every contact
+ * @param {Array<Object>} contacts - Contacts in file order
+ * @param {Array<Object>} variants - Variants from loadVariants
+ * @param {string} strategy - One of VARIANT_STRATEGIES (default random)
+ * @param {Map<string, string>} recorded - Phone -> variant name already used
+ *   for that contact in this campaign (see StateTracker.getRecordedVariants);
+ *   round_robin keeps these and deals only the other contacts
+ * @returns {Map<string, Object>} Phone -> variant
+ */
+export function assignVariants(contacts, variants, strategy = 'random', recorded = new Map()) {
+  const assignments = new Map();
+  const weights = variants.map(variant => variant.weight || 1);
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+  // Weighted round-robin: deal to the variant furthest below its share, so
+  // weights 2:1 deal A, B, A, A, B, A... counting contacts dealt in earlier runs
+  const counts = weights.map(() => 0);
+  const nextRoundRobin = () => {
+    let best = 0;
+    weights.forEach((weight, i) => {
+      if (counts[i] / weight < counts[best] / weights[best]) best = i;
+    });
+    return best;
+  };
+
+  // Random: a stable point in [0, total) from the phone, mapped onto the weights
+  const pickRandom = phone => {
+    let point = pickIndex(`variant:${phone}`, 1000000) / 1000000 * total;
+    return Math.max(0, weights.findIndex(weight => (point -= weight) < 0));
+  };
+
+  if (strategy !== 'round_robin') {
+    contacts.forEach(contact => {
+      assignments.set(contact.phone, variants[pickRandom(contact.phone)]);
+    });
+    return assignments;
+  }
+
+  // Row positions shift when the list is edited, so a contact dealt a variant
+  // before keeps it (its message, and so its hash, stays the same)
+  const fresh = [];
+  contacts.forEach(contact => {
+    const index = variants.findIndex(variant => variant.name === recorded.get(contact.phone));
+    if (index === -1) {
+      fresh.push(contact);
+    } else {
+      assignments.set(contact.phone, variants[index]);
+      counts[index]++;
+    }
+  });
+
+  fresh.forEach(contact => {
+    const index = nextRoundRobin();
+    assignments.set(contact.phone, variants[index]);
+    counts[index]++;
+  });
+
+  return assignments;
+}
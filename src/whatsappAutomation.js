@@ -2,6 +2,44 @@ import puppeteer from 'puppeteer';
 import fs from 'fs/promises';
 import path from 'path';
 import { retryWithBackoff, sleep } from './retryLogic.js';
+import { DELIVERY_STATUSES, getLowestStatus } from './receipts.js';
+import { InvalidNumberError, SessionLostError } from './errors.js';
+import { readQrCanvas, renderQrText, dataUrlToBuffer } from './qrCode.js';
+
+export const WHATSAPP_WEB_URL = 'https://web.whatsapp.com';
+
+// Where the login QR code is saved unless login.qr_file says otherwise
+export const DEFAULT_QR_FILE = './whatsapp-qr.png';
+
+/**
+ * Login states passed to onLoginStatus:
+ * - logged_in: the chat list is showing
+ * - needs_scan: a QR code is waiting to be scanned (comes with the code as PNG data URL)
+ * - expired: the code was not scanned in time
+ * - relogin_required: logged out during a run (device unlinked, session
+ *   expired); the run is paused and needs_scan follows
+ */
+export const LOGIN_STATUSES = ['logged_in', 'needs_scan', 'expired', 'relogin_required'];
+
+const QR_CANVAS_SELECTOR = 'canvas[aria-label="Scan this QR code to link a device!"]';
+const CHAT_LIST_SELECTOR = 'div[aria-label="Chat list"]';
+
+// File inputs behind the attach menu: photos & videos, and documents (also used for audio)
+const MEDIA_INPUT_SELECTOR = 'input[accept="image/*,video/mp4,video/3gpp,video/quicktime"]';
+const DOCUMENT_INPUT_SELECTOR = 'input[accept="*"]';
+
+// Popup shown by send?phone= for numbers without a WhatsApp account
+const INVALID_NUMBER_TEXT = 'Phone number shared via url is invalid';
+
+/**
+ * How text is entered in the message box (input.strategy):
+ * - insert_text: each line inserted in one go, like an input method (default)
+ * - paste: the whole text pasted from a synthetic clipboard
+ * - type: key by key; slowest, and can mangle emoji and other non-BMP characters
+ * Whatever the strategy, text that doesn't arrive exactly as rendered is
+ * cleared and typed again key by key.
+ */
+export const INPUT_STRATEGIES = ['insert_text', 'paste', 'type'];
 
 /**
  * WhatsApp Web automation class
@@ -12,6 +50,10 @@ export class WhatsAppAutomation {
     this.logger = logger;
     this.browser = null;
     this.page = null;
+    // Allow pointing at a stand-in (e.g. the bundled fake WhatsApp Web)
+    this.baseUrl = (config.driver && config.driver.url) || WHATSAPP_WEB_URL;
+    // Optional ({ status, qr }) => void, e.g. to show the QR code in the desktop app
+    this.onLoginStatus = null;
   }
 
   /**
@@ -49,8 +91,8 @@ export class WhatsAppAutomation {
     );
 
     // Navigate to WhatsApp Web
-    this.logger.info('Navigating to WhatsApp Web...');
-    await this.page.goto('https://web.whatsapp.com', {
+    this.logger.info(`Navigating to WhatsApp Web (${this.baseUrl})...`);
+    await this.page.goto(this.baseUrl, {
       waitUntil: 'networkidle2',
       timeout: this.config.timeouts.page_load
     });
@@ -71,28 +113,24 @@ export class WhatsAppAutomation {
       // Wait for either QR code or main interface
       await Promise.race([
         // Wait for QR code (not logged in)
-        this.page.waitForSelector('canvas[aria-label="Scan this QR code to link a device!"]', {
+        this.page.waitForSelector(QR_CANVAS_SELECTOR, {
           timeout: 10000
         }).then(() => {
-          this.logger.warn('QR code detected. Please scan the QR code to login.');
+          this.logger.info('QR code detected, not logged in');
         }),
         // Wait for main chat interface (already logged in)
-        this.page.waitForSelector('div[aria-label="Chat list"]', {
+        this.page.waitForSelector(CHAT_LIST_SELECTOR, {
           timeout: 10000
         }).then(() => {
           this.logger.info('Already logged in');
-          return;
+          this.reportLoginStatus('logged_in');
         })
       ]);
 
       // If QR code was shown, wait for login
-      const qrExists = await this.page.$('canvas[aria-label="Scan this QR code to link a device!"]');
+      const qrExists = await this.page.$(QR_CANVAS_SELECTOR);
       if (qrExists) {
-        this.logger.info('Waiting for QR code scan...');
-        await this.page.waitForSelector('div[aria-label="Chat list"]', {
-          timeout: this.config.timeouts.page_load
-        });
-        this.logger.info('Successfully logged in');
+        await this.waitForQrLogin();
       }
 
       // Additional wait to ensure everything is loaded
@@ -103,18 +141,198 @@ export class WhatsAppAutomation {
     }
   }
 
+  /**
+   * Show the login QR code until it is scanned: printed in the terminal and
+   * saved as a PNG (login.qr_terminal, login.qr_file), so logging in also
+   * works with a headless browser. WhatsApp replaces the code every ~20
+   * seconds; each new code is shown again.
+   * @param {number|null} timeout - How long to wait in ms (default login.timeout,
+   *   then timeouts.page_load)
+   * @throws {Error} If not logged in in time
+   */
+  async waitForQrLogin(timeout = null) {
+    const login = this.config.login || {};
+    timeout = timeout || login.timeout || this.config.timeouts.page_load;
+    const qrFile = login.qr_file === undefined ? DEFAULT_QR_FILE : login.qr_file;
+    const deadline = Date.now() + timeout;
+    let shown = null;
+
+    this.logger.info(`Waiting for QR code scan (up to ${Math.round(timeout / 1000)}s)...`);
+
+    while (Date.now() < deadline) {
+      if (await this.page.$(CHAT_LIST_SELECTOR)) {
+        this.logger.info('Successfully logged in');
+        this.reportLoginStatus('logged_in');
+        if (qrFile) {
+          await fs.rm(qrFile, { force: true });
+        }
+        return;
+      }
+
+      const qr = await this.page.evaluate(readQrCanvas, QR_CANVAS_SELECTOR);
+      if (qr && qr.modules && qr.dataUrl !== shown) {
+        this.logger.warn(shown
+          ? 'QR code refreshed, scan the new one'
+          : 'Scan this QR code with WhatsApp on your phone (Settings > Linked devices > Link a device)');
+        shown = qr.dataUrl;
+        this.reportLoginStatus('needs_scan', qr.dataUrl);
+
+        if (login.qr_terminal !== false) {
+          process.stdout.write(`\n${renderQrText(qr.modules)}\n\n`);
+        }
+        if (qrFile) {
+          await fs.mkdir(path.dirname(path.resolve(qrFile)), { recursive: true });
+          await fs.writeFile(qrFile, dataUrlToBuffer(qr.dataUrl));
+          this.logger.info(`QR code saved to ${qrFile}`);
+        }
+      }
+
+      await sleep(1000);
+    }
+
+    this.reportLoginStatus('expired');
+    if (qrFile) {
+      await fs.rm(qrFile, { force: true });
+    }
+    throw new Error(`Not logged in: the QR code was not scanned within ${Math.round(timeout / 1000)}s`);
+  }
+
+  /**
+   * Whether WhatsApp Web is showing the login QR code, i.e. the device was
+   * unlinked or the session expired
+   * @returns {Promise<boolean>}
+   */
+  async isLoggedOut() {
+    try {
+      return Boolean(await this.page.$(QR_CANVAS_SELECTOR));
+    } catch {
+      // The page is navigating; the next check will tell
+      return false;
+    }
+  }
+
+  /**
+   * Session health check between sends: if WhatsApp logged out, pause until
+   * the QR code is scanned again (shown as on the first login) instead of
+   * letting every remaining contact fail
+   * @returns {Promise<boolean>} True if a re-login happened
+   * @throws {Error} If not logged in again within login.relogin_timeout (default 10 minutes)
+   */
+  async ensureLoggedIn() {
+    if (!(await this.isLoggedOut())) {
+      return false;
+    }
+
+    const login = this.config.login || {};
+    this.logger.warn('WhatsApp logged out (device unlinked or session expired). Re-login required: the run is paused until the QR code is scanned');
+    this.reportLoginStatus('relogin_required');
+
+    try {
+      await this.waitForQrLogin(login.relogin_timeout || 600000);
+    } catch (error) {
+      throw new Error(`Re-login required: ${error.message}. Run again after linking the device; messages already sent are skipped`);
+    }
+    this.logger.info('Logged in again, resuming');
+    return true;
+  }
+
+  /**
+   * The error to report for a failed operation: a SessionLostError if
+   * WhatsApp is showing the login screen, otherwise the error itself
+   * @param {Error} error - Error of the failed operation
+   * @returns {Promise<Error>}
+   */
+  async checkSessionAfter(error) {
+    if (!(error instanceof SessionLostError) && await this.isLoggedOut()) {
+      return new SessionLostError(error.message);
+    }
+    return error;
+  }
+
+  /**
+   * Pass a login state change to onLoginStatus, if set
+   * @param {string} status - One of LOGIN_STATUSES
+   * @param {string|null} qr - QR code as PNG data URL (needs_scan only)
+   */
+  reportLoginStatus(status, qr = null) {
+    if (this.onLoginStatus) {
+      this.onLoginStatus({ status, qr });
+    }
+  }
+
   /**
    * Send message to a contact
    * @param {string} phone - Phone number (with country code)
    * @param {string} message - Message to send
-   * @param {string|null} imagePath - Optional image path
-   * @param {string|null} imageCaption - Optional image caption
+   * @param {Object|null} attachment - Optional file: { path, type } (see attachments.js)
+   * @param {string|null} caption - Optional caption for the file
+   * @returns {Promise<Object>} { status, messageIds }: the least advanced
+   *   status (see DELIVERY_STATUSES) and the ids of the messages sent
+   * @throws {SessionLostError} If it failed because WhatsApp logged out
    */
-  async sendMessage(phone, message, imagePath = null, imageCaption = null) {
+  async sendMessage(phone, message, attachment = null, caption = null) {
     this.logger.info(`Sending message to ${phone}`);
+    const deliveries = [];
+
+    try {
+      await this.openChat(phone);
+
+      // Check if message has content (not empty or only whitespace)
+      const hasTextMessage = message && message.trim().length > 0;
+
+      // If a file is provided, send it with caption
+      if (attachment) {
+        deliveries.push(await this.sendAttachments([attachment], caption));
+
+        // If no text message, we're done after sending the file
+        if (!hasTextMessage) {
+          this.logger.debug(`${attachment.type} sent, no text message to send (empty template)`);
+          return combineDeliveries(deliveries);
+        }
+      }
+
+      // Only proceed with text message if there's content
+      if (hasTextMessage) {
+        deliveries.push(await this.sendText(message));
+      }
 
+      this.logger.info(`Message sent successfully to ${phone}`);
+      return combineDeliveries(deliveries);
+    } catch (error) {
+      // The file already went out, so a retry would send it again
+      if (deliveries.length > 0) {
+        error.retryable = false;
+      }
+      throw await this.checkSessionAfter(error);
+    }
+  }
+
+  /**
+   * Send one step of a message sequence in the chat opened by openChat
+   * @param {Object} step - { type: 'text', text } or { type: 'attachment', attachments, caption } (see sequences.js)
+   * @returns {Promise<Object>} { status, messageIds } (see waitForDelivery)
+   * @throws {SessionLostError} If it failed because WhatsApp logged out
+   */
+  async sendStep(step) {
+    try {
+      if (step.type === 'text') {
+        return await this.sendText(step.text);
+      }
+      return await this.sendAttachments(step.attachments, step.caption);
+    } catch (error) {
+      throw await this.checkSessionAfter(error);
+    }
+  }
+
+  /**
+   * Open the chat with a phone number, clearing any draft
+   * @param {string} phone - Phone number (with country code)
+   * @throws {InvalidNumberError} If the number is not on WhatsApp
+   * @throws {SessionLostError} If WhatsApp shows the login screen instead
+   */
+  async openChat(phone) {
     // Navigate to chat with phone number
-    const chatUrl = `https://web.whatsapp.com/send?phone=${phone}`;
+    const chatUrl = `${this.baseUrl}/send?phone=${phone}`;
     await this.page.goto(chatUrl, {
       waitUntil: 'networkidle2',
       timeout: this.config.timeouts.page_load
@@ -124,6 +342,10 @@ export class WhatsAppAutomation {
     this.logger.debug('Waiting for chat interface to load...');
     await sleep(5000);
 
+    if (await this.isLoggedOut()) {
+      throw new SessionLostError(`chat with ${phone} did not open`);
+    }
+
     // Clear any draft messages in the text box to avoid confusion
     try {
       const messageBoxSelector = 'div[contenteditable="true"][data-tab="10"]';
@@ -144,94 +366,135 @@ export class WhatsAppAutomation {
     }
 
     // Check if phone number is invalid
-    const invalidNumber = await this.page.evaluate(() => {
-      const text = document.body.innerText;
-      return text.includes('Phone number shared via url is invalid');
-    });
+    const invalidNumber = await this.page.evaluate(
+      invalidText => document.body.innerText.includes(invalidText),
+      INVALID_NUMBER_TEXT
+    );
 
     if (invalidNumber) {
-      throw new Error(`Invalid phone number: ${phone}`);
+      throw new InvalidNumberError(phone);
     }
+  }
 
-    // Check if message has content (not empty or only whitespace)
-    const hasTextMessage = message && message.trim().length > 0;
-
-    // If image is provided, send it with caption
-    if (imagePath) {
-      // Type caption FIRST in the message box, then attach image
-      // This makes WhatsApp convert the typed text into image caption
-      await this.sendImageWithCaption(imagePath, imageCaption);
+  /**
+   * Check whether a phone number has a WhatsApp account without sending
+   * anything: opens send?phone= and waits for either the message box or
+   * the invalid-number popup, instead of openChat's fixed wait
+   * @param {string} phone - Phone number (with country code)
+   * @returns {Promise<string>} 'valid' or 'invalid'
+   * @throws {SessionLostError} If WhatsApp shows the login screen instead
+   * @throws {Error} If the page shows neither within timeouts.page_load
+   */
+  async checkNumber(phone) {
+    await this.page.goto(`${this.baseUrl}/send?phone=${phone}`, {
+      waitUntil: 'networkidle2',
+      timeout: this.config.timeouts.page_load
+    });
 
-      // If no text message, we're done after sending the image
-      if (!hasTextMessage) {
-        this.logger.debug('Image sent, no text message to send (empty template)');
-        return;
+    const handle = await this.page.waitForFunction((invalidText, qrSelector) => {
+      if (document.body.innerText.includes(invalidText)) {
+        return 'invalid';
       }
-    }
-
-    // Only proceed with text message if there's content
-    if (hasTextMessage) {
-      // Wait for message input box
-      const messageBoxSelector = 'div[contenteditable="true"][data-tab="10"]';
-      await this.page.waitForSelector(messageBoxSelector, {
-        timeout: this.config.timeouts.element_wait
-      });
+      if (document.querySelector(qrSelector)) {
+        return 'logged_out';
+      }
+      return document.querySelector('div[contenteditable="true"][data-tab="10"]') ? 'valid' : false;
+    }, { timeout: this.config.timeouts.page_load, polling: 250 }, INVALID_NUMBER_TEXT, QR_CANVAS_SELECTOR);
 
-      // Type and send message
-      await this.page.click(messageBoxSelector);
-      await sleep(500);
+    const status = await handle.jsonValue();
+    if (status === 'logged_out') {
+      throw new SessionLostError(`could not check ${phone}`);
+    }
+    this.logger.debug(`${phone}: ${status}`);
+    return status;
+  }
 
-      // Type message line by line (to preserve line breaks)
-      const lines = message.split('\n');
-      for (let i = 0; i < lines.length; i++) {
-        await this.page.type(messageBoxSelector, lines[i], { delay: 10 });
-        if (i < lines.length - 1) {
-          await this.page.keyboard.down('Shift');
-          await this.page.keyboard.press('Enter');
-          await this.page.keyboard.up('Shift');
+  /**
+   * Send one file, or several as an album, with an optional caption
+   * @param {Array<Object>} attachments - { path, type } files (see attachments.js)
+   * @param {string|null} caption - Optional caption
+   * @returns {Promise<Object>} { status, messageIds } (see waitForDelivery)
+   */
+  async sendAttachments(attachments, caption = null) {
+    const hasCaption = caption && caption.trim().length > 0;
+
+    if (attachments.every(attachment => attachment.type === 'audio')) {
+      // Audio messages have no caption, so the caption follows as its own message
+      const deliveries = [await this.attachFiles(attachments)];
+      if (hasCaption) {
+        try {
+          deliveries.push(await this.sendText(caption));
+        } catch (error) {
+          // The audio already went out, so a retry would send it again
+          error.retryable = false;
+          throw error;
         }
       }
+      return combineDeliveries(deliveries);
+    }
 
-      await sleep(500);
+    // Type caption FIRST in the message box, then attach the files
+    // This makes WhatsApp convert the typed text into the caption
+    return this.attachFiles(attachments, caption);
+  }
 
-      // Send message (press Enter)
-      await this.page.keyboard.press('Enter');
+  /**
+   * Type a text message in the open chat and send it
+   * @param {string} text - Message text (line breaks are kept)
+   * @returns {Promise<Object>} { status, messageIds } (see waitForDelivery)
+   */
+  async sendText(text) {
+    // Wait for message input box
+    const messageBoxSelector = 'div[contenteditable="true"][data-tab="10"]';
+    await this.page.waitForSelector(messageBoxSelector, {
+      timeout: this.config.timeouts.element_wait
+    });
 
-      // Wait for message to be sent
-      await sleep(2000);
+    // Enter and send message
+    await this.page.click(messageBoxSelector);
+    await sleep(500);
 
-      // Verify message was sent
-      const messageSent = await this.verifyMessageSent();
+    await this.enterText(messageBoxSelector, text);
 
-      if (!messageSent) {
-        throw new Error('Message may not have been sent properly');
-      }
-    }
+    await sleep(500);
+
+    // Send message (press Enter)
+    const before = await this.countOutgoing();
+    await this.page.keyboard.press('Enter');
 
-    this.logger.info(`Message sent successfully to ${phone}`);
+    // Wait for our bubble to leave the clock icon
+    return this.waitForDelivery(text, before);
   }
 
   /**
-   * Send image with optional caption
-   * NEW APPROACH: Type caption first, then attach image (WhatsApp auto-converts to caption)
-   * @param {string} imagePath - Path to image file
+   * Attach files and send them with optional caption
+   * Images and videos go through the photos & videos input; documents and
+   * audio through the document input, which keeps the file name. Several
+   * files are uploaded together, so images and videos arrive as an album.
+   * Type caption first, then attach the files (WhatsApp auto-converts to caption)
+   * @param {Array<Object>} attachments - { path, type } where type is image, video, audio or document
    * @param {string|null} caption - Optional caption
+   * @returns {Promise<Object>} { status, messageIds } (see waitForDelivery)
    */
-  async sendImageWithCaption(imagePath, caption = null) {
-    this.logger.debug(`Sending image: ${imagePath}`);
-
-    // Check if file exists
-    try {
-      await fs.access(imagePath);
-    } catch {
-      throw new Error(`Image file not found: ${imagePath}`);
+  async attachFiles(attachments, caption = null) {
+    const media = attachments.every(attachment => ['image', 'video'].includes(attachment.type));
+    const label = attachments.length === 1 ? attachments[0].type : `album of ${attachments.length} files`;
+    this.logger.debug(`Sending ${label}: ${attachments.map(attachment => attachment.path).join(', ')}`);
+
+    // Check if files exist
+    for (const { path: filePath } of attachments) {
+      try {
+        await fs.access(filePath);
+      } catch {
+        throw new Error(`Attachment file not found: ${filePath}`);
+      }
     }
 
-    const absolutePath = path.resolve(imagePath);
+    const absolutePaths = attachments.map(attachment => path.resolve(attachment.path));
 
     // STEP 1: Type caption in message box FIRST (if provided)
     if (caption && caption.trim().length > 0) {
-      this.logger.debug(`Typing caption before attaching image: ${caption}`);
+      this.logger.debug(`Typing caption before attaching file: ${caption}`);
 
       const messageBoxSelector = 'div[contenteditable="true"][data-tab="10"]';
       await this.page.waitForSelector(messageBoxSelector, { timeout: 5000 });
@@ -241,19 +504,7 @@ export class WhatsAppAutomation {
         await messageBox.click();
         await sleep(300);
 
-        // Type caption line by line, using Shift+Enter for line breaks
-        // This prevents sending multiple messages
-        const lines = caption.split('\n');
-        for (let i = 0; i < lines.length; i++) {
-          await this.page.keyboard.type(lines[i], { delay: 10 });
-
-          // Add line break with Shift+Enter (not just Enter which would send)
-          if (i < lines.length - 1) {
-            await this.page.keyboard.down('Shift');
-            await this.page.keyboard.press('Enter');
-            await this.page.keyboard.up('Shift');
-          }
-        }
+        await this.enterText(messageBoxSelector, caption);
 
         await sleep(500);
         this.logger.debug('Caption typed in message box with line breaks');
@@ -263,7 +514,7 @@ export class WhatsAppAutomation {
       }
     }
 
-    // STEP 2: Attach the image (caption should auto-transfer)
+    // STEP 2: Attach the file (caption should auto-transfer)
     // Click attach button to reveal file input
     const attachSelector = 'div[aria-label="Attach"], span[data-icon="plus"], span[data-icon="clip"]';
     try {
@@ -277,20 +528,20 @@ export class WhatsAppAutomation {
       this.logger.debug(`Could not click attach button: ${err.message}`);
     }
 
-    // Find the file input
-    const photoSelector = 'input[accept="image/*,video/mp4,video/3gpp,video/quicktime"]';
-    await this.page.waitForSelector(photoSelector, { timeout: 5000 });
+    // Find the file input for this type
+    const inputSelector = media ? MEDIA_INPUT_SELECTOR : DOCUMENT_INPUT_SELECTOR;
+    await this.page.waitForSelector(inputSelector, { timeout: 5000 });
 
-    // Upload to the FIRST file input only
-    const input = await this.page.$(photoSelector);
-    await input.uploadFile(absolutePath);
-    this.logger.debug(`Image uploaded`);
+    // Upload to the FIRST matching file input only
+    const input = await this.page.$(inputSelector);
+    await input.uploadFile(...absolutePaths);
+    this.logger.debug(`${label} uploaded`);
 
-    // Wait for image preview modal to appear
+    // Wait for preview modal to appear
     await sleep(3000);
 
     // Take screenshot of preview with caption
-    await this.takeScreenshot('image_preview_with_caption', true);
+    await this.takeScreenshot('attachment_preview_with_caption', true);
 
     // STEP 3: Send immediately
     const sendButtonSelectors = [
@@ -300,6 +551,7 @@ export class WhatsAppAutomation {
     ];
 
     let sendButton = null;
+    let before = 0;
     for (const selector of sendButtonSelectors) {
       sendButton = await this.page.$(selector);
       if (sendButton) {
@@ -312,37 +564,245 @@ export class WhatsAppAutomation {
       // Take screenshot before sending
       await this.takeScreenshot('before_send', true);
 
+      before = await this.countOutgoing();
       await sendButton.click();
       this.logger.debug('Clicked send button');
     } else {
       throw new Error('Could not find send button');
     }
 
-    // Wait for image to be sent
-    await sleep(3000);
+    // Wait for the files to be sent (videos, documents and albums take longer to upload)
+    const singleImage = attachments.length === 1 && attachments[0].type === 'image';
+    await sleep(singleImage ? 3000 : 2000 + 3000 * attachments.length);
 
     // Take screenshot after sending
     await this.takeScreenshot('after_send', true);
 
-    this.logger.info('Image with caption sent successfully');
+    const delivery = await this.waitForDelivery(caption, before);
+
+    this.logger.info(`${label} sent successfully: ${attachments.map(attachment => path.basename(attachment.path)).join(', ')}`);
+    return delivery;
   }
 
   /**
-   * Verify message was sent successfully
-   * @returns {boolean} True if message was sent
+   * Enter text in a focused editable box without sending it, using the
+   * configured input strategy and falling back to typing if the box doesn't
+   * end up holding exactly the text
+   * @param {string} selector - Editable element selector
+   * @param {string} text - Text to enter (line breaks are kept)
    */
-  async verifyMessageSent() {
-    try {
-      // Look for checkmarks (single or double) indicating message was sent
-      const sent = await this.page.evaluate(() => {
-        const checkmarks = document.querySelectorAll('span[data-icon="msg-check"], span[data-icon="msg-dblcheck"]');
-        return checkmarks.length > 0;
-      });
+  async enterText(selector, text) {
+    const strategy = (this.config.input && this.config.input.strategy) || 'insert_text';
 
-      return sent;
-    } catch {
-      return false;
+    if (strategy !== 'type') {
+      await this.insertText(text, strategy);
+
+      const entered = await this.readEditable(selector);
+      if (entered === normalizeText(text)) {
+        return;
+      }
+
+      this.logger.warn(`Text entered with ${strategy} did not match the message; typing it instead`);
+      this.logger.debug(`Expected ${JSON.stringify(normalizeText(text))}, got ${JSON.stringify(entered)}`);
+      await this.clearEditable(selector);
+    }
+
+    await this.typeText(text);
+  }
+
+  /**
+   * Insert text with insert_text or paste
+   * @param {string} text - Text to insert
+   * @param {string} strategy - insert_text or paste
+   */
+  async insertText(text, strategy) {
+    if (strategy === 'paste') {
+      // Synthetic paste event: no real clipboard access needed, and the
+      // editor handles line breaks itself
+      await this.page.evaluate((content) => {
+        const data = new DataTransfer();
+        data.setData('text/plain', content);
+        document.activeElement.dispatchEvent(new ClipboardEvent('paste', {
+          clipboardData: data,
+          bubbles: true,
+          cancelable: true
+        }));
+      }, text);
+      return;
+    }
+
+    // insertText per line; Shift+Enter between lines (plain Enter would send)
+    const lines = text.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+      if (lines[i].length > 0) {
+        await this.page.keyboard.sendCharacter(lines[i]);
+      }
+      if (i < lines.length - 1) {
+        await this.newLine();
+      }
+    }
+  }
+
+  /**
+   * Type text key by key
+   * @param {string} text - Text to type
+   */
+  async typeText(text) {
+    // Type line by line, using Shift+Enter for line breaks
+    // This prevents sending multiple messages
+    const lines = text.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+      await this.page.keyboard.type(lines[i], { delay: 10 });
+      if (i < lines.length - 1) {
+        await this.newLine();
+      }
+    }
+  }
+
+  /**
+   * Line break inside a message (Shift+Enter)
+   */
+  async newLine() {
+    await this.page.keyboard.down('Shift');
+    await this.page.keyboard.press('Enter');
+    await this.page.keyboard.up('Shift');
+  }
+
+  /**
+   * Text currently in an editable box, normalized like normalizeText
+   * @param {string} selector - Editable element selector
+   * @returns {Promise<string|null>} Text, or null if the element is gone
+   */
+  async readEditable(selector) {
+    const text = await this.page.evaluate((sel) => {
+      const element = document.querySelector(sel);
+      return element ? element.innerText : null;
+    }, selector);
+    return text === null ? null : normalizeText(text);
+  }
+
+  /**
+   * Select everything in an editable box and delete it
+   * @param {string} selector - Editable element selector
+   */
+  async clearEditable(selector) {
+    await this.page.focus(selector);
+    await this.page.evaluate(() => document.execCommand('selectAll'));
+    await this.page.keyboard.press('Backspace');
+    await sleep(300);
+  }
+
+  /**
+   * Number of outgoing messages in the open chat, taken just before sending
+   * so waitForDelivery only looks at messages that appear afterwards
+   * @returns {Promise<number>}
+   */
+  async countOutgoing() {
+    return this.page.evaluate(() => document.querySelectorAll('.message-out').length);
+  }
+
+  /**
+   * Messages in the open chat (ours and the contact's), oldest first
+   * @returns {Promise<Array<Object>>} { index, id, direction, text, time, status }:
+   *   direction is 'in' or 'out'; id is null if the bubble has no data-id;
+   *   text is '' for files without caption; time is the time shown in the
+   *   chat ("10:32, 19/10/2026"); status (outgoing only) is one of
+   *   DELIVERY_STATUSES, read from the tick icon
+   */
+  async getChatMessages() {
+    const bubbles = await this.page.evaluate(() =>
+      Array.from(document.querySelectorAll('.message-in, .message-out')).map(bubble => {
+        const holder = bubble.closest('[data-id]') || bubble.querySelector('[data-id]');
+        const text = bubble.querySelector('.selectable-text');
+        const meta = bubble.querySelector('[data-pre-plain-text]');
+        const icon = bubble.querySelector('[data-icon^="msg-"]');
+        return {
+          id: holder ? holder.getAttribute('data-id') : null,
+          direction: bubble.classList.contains('message-out') ? 'out' : 'in',
+          text: text ? text.innerText : '',
+          meta: meta ? meta.getAttribute('data-pre-plain-text') : '',
+          icon: icon ? icon.getAttribute('data-icon') : null,
+          label: icon ? icon.getAttribute('aria-label') || '' : ''
+        };
+      })
+    );
+
+    return bubbles.map(({ id, direction, text, meta, icon, label }, index) => {
+      // data-pre-plain-text looks like "[10:32, 19/10/2026] Name: "
+      const time = (meta.match(/^\[([^\]]+)\]/) || [])[1] || null;
+      const status = direction === 'out' ? getIconStatus(icon, label) : null;
+      return { index, id, direction, text, time, status };
+    });
+  }
+
+  /**
+   * Our messages in the open chat, oldest first (see getChatMessages)
+   * @returns {Promise<Array<Object>>}
+   */
+  async getOutgoingMessages() {
+    return (await this.getChatMessages()).filter(message => message.direction === 'out');
+  }
+
+  /**
+   * Find the message just sent and wait until it is accepted by the server
+   * (its clock icon turns into a tick), up to timeouts.message_send.
+   *
+   * The message is the last new outgoing bubble whose text matches what was
+   * sent (the caption for files), or the last new outgoing bubble if none
+   * matches (e.g. a file without caption). Older messages in the chat are
+   * never taken for it.
+   *
+   * Never throws: the message has already been sent, so an error here must
+   * not make the caller retry and send it twice.
+   *
+   * @param {string|null} text - Text or caption that was sent
+   * @param {number} before - countOutgoing() from before sending
+   * @returns {Promise<Object>} { status, messageIds } where status is one of
+   *   DELIVERY_STATUSES (pending if the message still shows a clock when the
+   *   time is up, or could not be found in the chat)
+   */
+  async waitForDelivery(text, before) {
+    const timeout = this.config.timeouts.message_send || 30000;
+    const deadline = Date.now() + timeout;
+    const wanted = text ? collapseWhitespace(text) : '';
+    let message = null;
+
+    while (true) {
+      let messages;
+      try {
+        messages = await this.getOutgoingMessages();
+      } catch (error) {
+        this.logger.warn(`Could not read the chat after sending (${error.message}); recording the message as pending`);
+        break;
+      }
+
+      if (message && message.id) {
+        message = messages.find(candidate => candidate.id === message.id) || message;
+      } else {
+        const fresh = messages.slice(before);
+        const matching = wanted ? fresh.filter(candidate => collapseWhitespace(candidate.text) === wanted) : [];
+        message = matching[matching.length - 1] || fresh[fresh.length - 1] || null;
+      }
+
+      if (message && message.status !== 'pending') {
+        this.logger.debug(`Sent message is ${message.status}`);
+        break;
+      }
+      if (Date.now() >= deadline) {
+        if (!message) {
+          this.logger.warn(`Sent message did not appear in the chat within ${timeout}ms; recording it as pending`);
+        } else {
+          this.logger.warn(`Message still pending after ${timeout}ms; recording it as pending`);
+        }
+        break;
+      }
+      await sleep(500);
     }
+
+    if (!message) {
+      return { status: 'pending', messageIds: [] };
+    }
+    return { status: message.status, messageIds: message.id ? [message.id] : [] };
   }
 
   /**
@@ -395,3 +855,33 @@ export class WhatsAppAutomation {
     return this.browser && this.browser.isConnected();
   }
 }
+
+/**
+ * Normalize text for comparing what was entered with what was rendered:
+ * Windows line breaks, non-breaking spaces (used by editors for runs of
+ * spaces) and trailing line breaks are ignored
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return text.replace(/\r\n?/g, '\n').replace(/\u00a0/g, ' ').replace(/\n+$/, '');
+}
+
+// Several messages sent for one contact or step count as delivered once all are
+function combineDeliveries(deliveries) {
+  return {
+    status: getLowestStatus(deliveries.map(delivery => delivery.status)),
+    messageIds: deliveries.flatMap(delivery => delivery.messageIds)
+  };
+}
+
+// Tick icons: clock (or none yet), one tick, two ticks (blue once read)
+function getIconStatus(icon, label) {
+  if (icon === 'msg-check') return 'sent';
+  if (icon === 'msg-dblcheck') return /read/i.test(label) ? 'read' : 'delivered';
+  return 'pending';
+}
+
+function collapseWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
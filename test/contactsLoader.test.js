@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadContacts } from '../src/contactsLoader.js';
+
+const GOOGLE_CSV = [
+  'Name,Given Name,Family Name,Organization 1 - Name,Notes,Phone 1 - Type,Phone 1 - Value',
+  'Dana Levi,Dana,Levi,Acme,Met at the expo,* Mobile,+972 50-123-4567'
+].join('\n');
+
+async function withFile(name, content, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'whatsapp-test-'));
+  try {
+    const filePath = path.join(dir, name);
+    await fs.writeFile(filePath, content);
+    return await fn(filePath);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('Google Contacts exports keep their own columns next to the mapped fields', async () => {
+  const { contacts, format } = await withFile('google.csv', GOOGLE_CSV, filePath => loadContacts(filePath));
+
+  assert.equal(format, 'google_csv');
+  assert.equal(contacts.length, 1);
+  assert.equal(contacts[0].phone, '+972 50-123-4567');
+  assert.equal(contacts[0].name, 'Dana Levi');
+  assert.equal(contacts[0].company, 'Acme');
+  assert.equal(contacts[0].Notes, 'Met at the expo');
+  assert.equal(contacts[0]['Organization 1 - Name'], 'Acme');
+});
+
+test('contacts.columns can map columns of a Google Contacts export', async () => {
+  const csv = GOOGLE_CSV
+    .replace('Phone 1 - Value', 'Phone 1 - Value,Organization 2 - Name')
+    .replace('+972 50-123-4567', '+972 50-123-4567,Acme Labs');
+  const { contacts } = await withFile('google.csv', csv, filePath => loadContacts(filePath, {
+    columns: { notes: 'Notes', company: 'Organization 2 - Name' }
+  }));
+
+  assert.equal(contacts[0].notes, 'Met at the expo');
+  assert.equal(contacts[0].company, 'Acme Labs');
+  assert.equal(contacts[0].phone, '+972 50-123-4567');
+  assert.equal(contacts[0].Notes, undefined);
+});
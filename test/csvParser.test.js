@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { toSpreadsheetCSV, writeSpreadsheetCSV } from '../src/csvParser.js';
+import { exportReplies } from '../src/replies.js';
+import { exportAttendees } from '../src/replyRules.js';
+
+const BOM = '﻿';
+
+test('spreadsheet CSVs start with a BOM and keep non-Latin text', () => {
+  const csv = toSpreadsheetCSV([{ name: 'דנה 🎉', phone: '+972501234567' }], ['phone', 'name']);
+  assert.equal(csv, `${BOM}phone,name\n+972501234567,דנה 🎉\n`);
+});
+
+test('reply and attendee exports go through the shared spreadsheet writer', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'whatsapp-test-'));
+  try {
+    const checked = path.join(dir, 'nested', 'checked.csv');
+    await writeSpreadsheetCSV(checked, [{ phone: '1' }], ['phone']);
+    assert.equal(await fs.readFile(checked, 'utf-8'), `${BOM}phone\n1\n`);
+
+    const replies = path.join(dir, 'replies.csv');
+    await exportReplies(replies, [{ phone: '1', reply: 'כן' }]);
+    assert.ok((await fs.readFile(replies, 'utf-8')).startsWith(`${BOM}campaign,`));
+
+    const attendees = path.join(dir, 'attendees.csv');
+    await exportAttendees(attendees, [{ phone: '1', name: 'Dana', reply: 'yes', reply_time: 't' }]);
+    assert.ok((await fs.readFile(attendees, 'utf-8')).startsWith(BOM));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
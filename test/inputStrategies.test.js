@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'fs';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import puppeteer from 'puppeteer';
+import { createDriver } from '../src/driver.js';
+import { INPUT_STRATEGIES } from '../src/whatsappAutomation.js';
+import { renderTemplate } from '../src/templateRenderer.js';
+
+// Surrogate pairs, a ZWJ family, a flag, skin tone and variation selector,
+// right-to-left text mixed with Latin, and line breaks (including a blank line)
+const TEMPLATE = [
+  'שלום {{name}} 🎉👨‍👩‍👧‍👦🇮🇱',
+  'مرحبا {{name}}، نراكم قريبا 👍🏽',
+  '',
+  'Dinner at 19:30 ❤️ {{city}}'
+].join('\n');
+
+const CONTACT = { phone: '972501234567', name: 'Dana', city: 'תל אביב' };
+
+// These tests drive a real browser; without one they are skipped, not failed
+function findBrowser() {
+  let executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
+  if (!executablePath) {
+    try {
+      executablePath = puppeteer.executablePath();
+    } catch {
+      executablePath = null;
+    }
+  }
+  return executablePath && existsSync(executablePath) ? executablePath : null;
+}
+
+const SKIP = findBrowser()
+  ? false
+  : 'no browser found: run "npx puppeteer browsers install chrome" or set PUPPETEER_EXECUTABLE_PATH';
+
+// Collects warnings, so a strategy that only passed by falling back to
+// typing (see enterText) still fails
+function createTestLogger() {
+  const warnings = [];
+  const ignore = () => {};
+  return { warnings, info: ignore, debug: ignore, error: ignore, warn: message => warnings.push(message) };
+}
+
+for (const strategy of INPUT_STRATEGIES) {
+  test(`${strategy}: the stored message matches the rendered one byte for byte`, { skip: SKIP, timeout: 120000 }, async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'whatsapp-test-'));
+    const logger = createTestLogger();
+    const driver = createDriver({
+      session_dir: path.join(dir, 'session'),
+      puppeteer: { headless: true, args: ['--no-sandbox'] },
+      timeouts: { page_load: 30000, message_send: 10000, element_wait: 10000 },
+      screenshots: { enabled: false, dir: path.join(dir, 'screenshots') },
+      input: { strategy },
+      driver: { type: 'local', local: { ack_delay_ms: 50 } }
+    }, logger);
+
+    try {
+      await driver.initialize();
+
+      const message = renderTemplate(TEMPLATE, CONTACT);
+      await driver.sendMessage(CONTACT.phone, message);
+
+      const response = await fetch(`${driver.server.url}/api/chats/${encodeURIComponent(CONTACT.phone)}`);
+      const { messages } = await response.json();
+
+      assert.equal(messages.length, 1, 'one message in the chat');
+      assert.deepEqual(Buffer.from(messages[0].text), Buffer.from(message));
+      assert.deepEqual(logger.warnings.filter(warning => warning.includes('did not match')), []);
+    } finally {
+      await driver.close();
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+}
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { WhatsAppAutomationApp } from '../src/index.js';
+
+test('replies collects without classifying or writing the attendee CSV', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'whatsapp-test-'));
+  try {
+    const attendees = path.join(dir, 'attendees.csv');
+    const entry = { phone: '+972501234567', message: 'Coming?', messageHash: 'h1', campaign: 'shabbat' };
+    const updates = [];
+    const ignore = () => {};
+
+    const app = new WhatsAppAutomationApp({});
+    app.config = {
+      retry: { max_attempts: 1 },
+      reply_rules: [{ tag: 'attending', match: 'yes' }],
+      attendees: { output: attendees }
+    };
+    app.logger = { info: ignore, warn: ignore, debug: ignore, error: ignore };
+    app.rateLimiter = { wait: async () => {} };
+    app.stateTracker = {
+      state: { sentMessages: { h1: entry } },
+      generateHash: () => 'h1',
+      updateSentMessage: async (hash, update) => updates.push(update)
+    };
+    app.whatsapp = {
+      initialize: async () => {},
+      ensureLoggedIn: async () => {},
+      openChat: async () => {},
+      getChatMessages: async () => []
+    };
+
+    const summary = await app.replies();
+
+    assert.equal(summary.chats, 1);
+    assert.equal(summary.failed, 0);
+    await assert.rejects(fs.access(attendees), { code: 'ENOENT' });
+    assert.ok(updates.every(update => !('tags' in update)));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { WhatsAppAutomationApp } from '../src/index.js';
+import { validateTemplate } from '../src/templateRenderer.js';
+
+const INDEX = fileURLToPath(new URL('../src/index.js', import.meta.url));
+
+function createApp() {
+  const app = new WhatsAppAutomationApp({ strict: true });
+  const ignore = () => {};
+  app.config = {};
+  app.logger = { info: ignore, warn: ignore, debug: ignore, error: ignore };
+  return app;
+}
+
+test('checkStrict accepts a bare {word} the renderer keeps as written', () => {
+  const template = 'Hi {{name}}, reply {yes} to confirm';
+  const contacts = [{ phone: '+972501234567', name: 'Dana' }];
+  const app = createApp();
+
+  assert.doesNotThrow(() => app.checkStrict(
+    contacts,
+    new Map([['+972501234567', 2]]),
+    new Map([['+972501234567', { name: 'default', template }]]),
+    new Map(),
+    validateTemplate(template, ['phone', 'name']),
+    null
+  ));
+});
+
+test('checkStrict still fails on a legacy {field} whose column is empty', () => {
+  const template = 'Hi {name}';
+  const contacts = [{ phone: '+972501234567', name: '' }];
+  const app = createApp();
+
+  assert.throws(() => app.checkStrict(
+    contacts,
+    new Map([['+972501234567', 2]]),
+    new Map([['+972501234567', { name: 'default', template }]]),
+    new Map(),
+    validateTemplate(template, ['phone', 'name']),
+    null
+  ), /1 broken rows/);
+});
+
+test('validate --strict passes a template with literal {braces}', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'whatsapp-test-'));
+  try {
+    await fs.writeFile(path.join(dir, 'contacts.csv'), 'name,phone\nDana,+972501234567\n');
+    await fs.writeFile(path.join(dir, 'template.txt'), 'Hi {{name}}, reply {yes} or {no}: ${price}\n');
+    await fs.writeFile(path.join(dir, 'config.yaml'), [
+      'contacts_csv: ./contacts.csv',
+      'message_template: ./template.txt',
+      'state_file: ./sent_messages.json',
+      'session_dir: ./session',
+      'logging: { level: error, file: ./test.log, console: false }'
+    ].join('\n'));
+
+    const result = spawnSync(process.execPath, [INDEX, 'validate', '--strict'], { cwd: dir, encoding: 'utf-8' });
+    assert.equal(result.status, 0, result.stdout + result.stderr);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderTemplate, validateTemplate } from '../src/templateRenderer.js';
+
+test('legacy placeholders without a column are sent as written and not reported missing', () => {
+  const template = 'Hi {name}, reply with {yes} or ${no}. {{name}} {note}';
+  const contact = { phone: '1', name: 'Dana' };
+
+  assert.equal(renderTemplate(template, contact), 'Hi Dana, reply with {yes} or ${no}. Dana {note}');
+
+  const validation = validateTemplate(template, ['phone', 'name']);
+  assert.equal(validation.valid, true);
+  assert.deepEqual(validation.missingFields, []);
+  assert.deepEqual(validation.placeholders, ['name']);
+  assert.deepEqual(validation.literals, ['{yes}', '${no}', '{note}']);
+});
+
+test('a field used with double braces is still reported missing', () => {
+  const validation = validateTemplate('{note} {{note}}', ['phone']);
+  assert.equal(validation.valid, false);
+  assert.deepEqual(validation.missingFields, ['note']);
+});
+
+test('legacy placeholders matching a column are substituted', () => {
+  const validation = validateTemplate('Hi {NAME}', ['phone', 'name']);
+  assert.deepEqual(validation.placeholders, ['NAME']);
+  assert.deepEqual(validation.literals, []);
+  assert.equal(renderTemplate('Hi {NAME}', { phone: '1', name: 'Dana' }), 'Hi Dana');
+});